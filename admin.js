@@ -0,0 +1,30 @@
+/**
+ * MTGDoku — Admin access for curating and scheduling puzzles.
+ *
+ * The admin API is off unless the server is started with ADMIN_TOKEN set.
+ * Requests prove they are the admin with "Authorization: Bearer <ADMIN_TOKEN>".
+ */
+
+const crypto = require('crypto');
+
+/** True if ADMIN_TOKEN is set, i.e. the admin routes are available. */
+function isEnabled() {
+    return !!process.env.ADMIN_TOKEN;
+}
+
+/**
+ * True if the request carries the admin token. Compares sha256 digests with
+ * timingSafeEqual so the check doesn't leak how much of a guess was right.
+ */
+function authenticate(req) {
+    if (!isEnabled()) return false;
+    const match = (req.get('Authorization') || '').match(/^Bearer (\S+)$/);
+    if (!match) return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(process.env.ADMIN_TOKEN));
+}
+
+module.exports = {
+    isEnabled,
+    authenticate
+};
@@ -0,0 +1,114 @@
+/**
+ * MTGDoku — The puzzle day.
+ *
+ * The server alone decides which puzzle is current, so every player sees the
+ * same board whatever their timezone. A new puzzle day starts at
+ * PUZZLE_ROLLOVER ("HH:MM", UTC, default "00:00"). Puzzles are numbered #1, #2…
+ * from ARCHIVE_START (or DEFAULT_FIRST_PUZZLE when it isn't set), and no
+ * earlier date can be played.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// First numbered (and first playable) puzzle when ARCHIVE_START isn't set.
+const DEFAULT_FIRST_PUZZLE = '2026-01-01';
+
+// Earliest date the archive serves (env ARCHIVE_START, YYYY-MM-DD); unset = DEFAULT_FIRST_PUZZLE.
+const ARCHIVE_START = process.env.ARCHIVE_START || null;
+
+/** True if `dateStr` is a real calendar date written YYYY-MM-DD (so not "2026-13-45" or "2026-02-30"). */
+function isCalendarDate(dateStr) {
+    if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateStr;
+}
+
+/** The date `days` days after YYYY-MM-DD `dateStr` (negative for earlier). */
+function addDays(dateStr, days) {
+    return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/** Minutes after 00:00 UTC that a new puzzle day starts, from PUZZLE_ROLLOVER. */
+function parseRollover(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`PUZZLE_ROLLOVER must be a HH:MM time (UTC), got "${value}"`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const ROLLOVER_MINUTES = parseRollover(process.env.PUZZLE_ROLLOVER || '00:00');
+
+if (ARCHIVE_START && !isCalendarDate(ARCHIVE_START)) {
+    throw new Error(`ARCHIVE_START must be a YYYY-MM-DD date, got "${ARCHIVE_START}"`);
+}
+
+// Puzzle #1: nothing before it can be opened.
+const FIRST_PUZZLE = ARCHIVE_START || DEFAULT_FIRST_PUZZLE;
+
+/**
+ * The current puzzle date (YYYY-MM-DD). Before the rollover time it is still
+ * the previous UTC day's puzzle.
+ */
+function currentPuzzleDate(now = new Date()) {
+    return new Date(now.getTime() - ROLLOVER_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** When the puzzle after the current one comes out. */
+function nextRollover(now = new Date()) {
+    const start = Date.parse(`${currentPuzzleDate(now)}T00:00:00Z`) + ROLLOVER_MINUTES * 60 * 1000;
+    return new Date(start + MS_PER_DAY);
+}
+
+/** Sequential number of a date's puzzle (#1 = FIRST_PUZZLE), or null for dates before it. */
+function puzzleNumber(dateStr) {
+    const days = Math.round((Date.parse(`${dateStr}T00:00:00Z`) - Date.parse(`${FIRST_PUZZLE}T00:00:00Z`)) / MS_PER_DAY);
+    return days >= 0 ? days + 1 : null;
+}
+
+/**
+ * Everything the frontend needs about the current puzzle day.
+ * `serverTime` lets clients count down with the server's clock, not their own.
+ * @returns {{ date: string, number: number|null, nextPuzzleAt: string, serverTime: string }}
+ */
+function describeToday(now = new Date()) {
+    const date = currentPuzzleDate(now);
+    return {
+        date,
+        number: puzzleNumber(date),
+        nextPuzzleAt: nextRollover(now).toISOString(),
+        serverTime: now.toISOString()
+    };
+}
+
+/**
+ * Whether players may open the puzzle for a date: a real date, not after the
+ * current puzzle day (so nobody can peek ahead or make the server generate
+ * boards for far-off dates), and not before FIRST_PUZZLE.
+ * @returns {{ status: number, reason: string, error: string } | null} null if the
+ *   date is allowed; otherwise the HTTP status, a machine-readable reason
+ *   ("invalid", "future" or "archive") and a message for players.
+ */
+function checkPuzzleDate(dateStr, now = new Date()) {
+    if (!isCalendarDate(dateStr)) {
+        return { status: 400, reason: 'invalid', error: 'That isn\'t a valid puzzle date' };
+    }
+    if (dateStr > currentPuzzleDate(now)) {
+        return { status: 404, reason: 'future', error: 'That puzzle isn\'t out yet' };
+    }
+    if (dateStr < FIRST_PUZZLE) {
+        return { status: 404, reason: 'archive', error: `The archive starts on ${FIRST_PUZZLE}` };
+    }
+    return null;
+}
+
+module.exports = {
+    FIRST_PUZZLE,
+    isCalendarDate,
+    addDays,
+    currentPuzzleDate,
+    nextRollover,
+    puzzleNumber,
+    describeToday,
+    checkPuzzleDate
+};
@@ -1,11 +1,28 @@
 /**
- * MTGDoku — Database layer for daily puzzles.
+ * MTGDoku — Database layer for daily puzzles and card data.
  *
- * Stores one puzzle per calendar day. Each puzzle is 3 row criteria + 3 column
- * criteria (e.g. "Blue Cards", "Creatures", "Mana Value 3"). The criteria
- * are saved as JSON strings in SQLite.
+ * Stores one puzzle per calendar day. Each puzzle is a list of row criteria and
+ * a list of column criteria (e.g. "Blue Cards", "Creatures", "Mana Value 3"),
+ * usually 3 × 3; the grid's dimensions and rule set are stored with it. The criteria
+ * are saved as JSON strings in SQLite. Every create, change or removal of a
+ * puzzle is logged in puzzle_audit with the before and after versions.
  *
- * File: mtgdoku.db (created in the same folder as this file).
+ * Records every accepted answer per puzzle cell (answer_picks) so the game can
+ * show how rare a pick was, and anonymous players with their guesses and
+ * finished games (players, player_guesses, games) for lifetime stats.
+ *
+ * Also holds a local copy of Scryfall card data (imported with import-cards.js)
+ * so the server can validate guesses without trusting card data sent by the
+ * browser. Cards are normalized into:
+ *   cards      — one row per oracle card (rules object), keyed by oracle_id
+ *   faces      — one row per face of multi-face cards (split, DFC, adventure…)
+ *   printings  — one row per Scryfall printing id (set, rarity, release date, images)
+ *   colors     — card colors, color identity and color indicator, one letter per row
+ *   types      — supertypes, card types and subtypes parsed from the type line
+ *   legalities — one row per format (e.g. modern → legal)
+ *
+ * File: mtgdoku.db (created in the same folder as this file), or the path in
+ * env MTGDOKU_DB (the tests use a temporary one).
  */
 
 const Database = require('better-sqlite3');
@@ -13,11 +30,11 @@ const path = require('path');
 const fs = require('fs');
 
 // Path to the SQLite file (e.g. project_root/mtgdoku.db)
-const DB_PATH = path.join(__dirname, 'mtgdoku.db');
+const DB_PATH = process.env.MTGDOKU_DB || path.join(__dirname, 'mtgdoku.db');
 let db = null;
 
 /**
- * Opens the database and creates the puzzles table if it doesn't exist.
+ * Opens the database and creates the puzzle, card, answer and player tables if they don't exist.
  * Safe to call multiple times; after the first call, the same connection is reused.
  */
 function init() {
@@ -38,19 +55,111 @@ function init() {
             created_at TEXT DEFAULT (datetime('now'))
         )
     `);
+    addColumnIfMissing('puzzles', 'cell_counts', 'TEXT');
+    addColumnIfMissing('puzzles', 'difficulty', 'REAL');
+    addColumnIfMissing('puzzles', 'format', 'TEXT');
+    addColumnIfMissing('puzzles', 'generator_version', 'INTEGER');
+    // Fingerprint of the card data a generated puzzle was built from (puzzles.cardDataVersion).
+    addColumnIfMissing('puzzles', 'card_data', 'TEXT');
+    // Grid size; puzzles from before sizes were configurable are all 3 × 3.
+    addColumnIfMissing('puzzles', 'rows', 'INTEGER NOT NULL DEFAULT 3');
+    addColumnIfMissing('puzzles', 'cols', 'INTEGER NOT NULL DEFAULT 3');
+    // Rule set id (js/rules.js); puzzles from before rule sets were played as classic.
+    addColumnIfMissing('puzzles', 'rules', "TEXT NOT NULL DEFAULT 'classic'");
+
+    // One row per puzzle write: who made it ("generator" or "admin") and the
+    // puzzle before and after as JSON (NULL when there was none / it was deleted).
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS puzzle_audit (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            date TEXT NOT NULL,
+            action TEXT NOT NULL,
+            actor TEXT NOT NULL,
+            before_json TEXT,
+            after_json TEXT,
+            created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_puzzle_audit_date ON puzzle_audit(date);
+    `);
+
+    createCardTables();
+
+    // How many times each card was accepted for each puzzle cell (for "X% picked this").
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS answer_picks (
+            date TEXT NOT NULL,
+            cell INTEGER NOT NULL,
+            oracle_id TEXT NOT NULL,
+            picks INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (date, cell, oracle_id)
+        )
+    `);
+
+    // Anonymous players. token_hash is sha256 of the secret the browser keeps;
+    // username is optional and unique (case-insensitive).
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS players (
+            id TEXT PRIMARY KEY,
+            token_hash TEXT NOT NULL UNIQUE,
+            username TEXT UNIQUE COLLATE NOCASE,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS player_guesses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id TEXT NOT NULL,
+            date TEXT NOT NULL,
+            cell INTEGER NOT NULL,
+            oracle_id TEXT NOT NULL,
+            correct INTEGER NOT NULL,
+            created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_player_guesses ON player_guesses(player_id, date);
+
+        CREATE TABLE IF NOT EXISTS games (
+            player_id TEXT NOT NULL,
+            date TEXT NOT NULL,
+            won INTEGER NOT NULL,
+            total_guesses INTEGER NOT NULL,
+            solved_cells INTEGER NOT NULL,
+            cell_results TEXT NOT NULL,
+            started_at TEXT NOT NULL,
+            finished_at TEXT NOT NULL,
+            PRIMARY KEY (player_id, date)
+        );
+    `);
 
     return db;
 }
 
+/**
+ * Adds a column to an existing table if an older version of the schema lacks it.
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column type and constraints, e.g. "TEXT".
+ */
+function addColumnIfMissing(table, column, definition) {
+    const cols = db.prepare(`SELECT name FROM pragma_table_info('${table}')`).all().map(c => c.name);
+    if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
 /**
  * Loads the puzzle for a given date from the database.
  * @param {string} dateStr - Date in YYYY-MM-DD (e.g. "2026-02-18").
- * @returns {{ rowCriteria: Array, colCriteria: Array } | null} The puzzle, or null if that date has no row.
+ * @returns {{ rowCriteria: Array, colCriteria: Array, rows: number, cols: number, cellCounts: number[] | null,
+ *   difficulty: number | null, format: string | null, rules: string, generatorVersion: number | null,
+ *   cardData: string | null } | null}
+ *   The puzzle, or null if that date has no row. rows and cols are the grid's size, rules its rule set id. cellCounts and difficulty are
+ *   null for puzzles saved before answer counting (or without imported cards).
+ *   format is the Scryfall format every answer must be legal in, or null for any card.
+ *   generatorVersion is the seeded generator that made it (null if written by hand
+ *   or made before seeding), and cardData the card data it was generated from
+ *   (null if written by hand, generated without cards or before it was recorded).
  */
 function getPuzzle(dateStr) {
     init();
     const row = db.prepare(
-        'SELECT row_criteria, col_criteria FROM puzzles WHERE date = ?'
+        'SELECT row_criteria, col_criteria, rows, cols, cell_counts, difficulty, format, rules, generator_version, card_data FROM puzzles WHERE date = ?'
     ).get(dateStr);
 
     if (!row) return null;
@@ -58,39 +167,725 @@ function getPuzzle(dateStr) {
     // Stored as JSON strings; parse back to arrays of { name, code } objects.
     return {
         rowCriteria: JSON.parse(row.row_criteria),
-        colCriteria: JSON.parse(row.col_criteria)
+        colCriteria: JSON.parse(row.col_criteria),
+        rows: row.rows,
+        cols: row.cols,
+        cellCounts: row.cell_counts ? JSON.parse(row.cell_counts) : null,
+        difficulty: row.difficulty,
+        format: row.format,
+        rules: row.rules,
+        generatorVersion: row.generator_version,
+        cardData: row.card_data
     };
 }
 
 /**
  * Saves a puzzle for a given date. If that date already has a row, it is updated.
+ * The write is logged in puzzle_audit as a "create" or "update" by `actor`.
  * @param {string} dateStr - Date in YYYY-MM-DD.
- * @param {Array} rowCriteria - Array of 3 objects: { name: string, code: string }.
- * @param {Array} colCriteria - Array of 3 objects: { name: string, code: string }.
+ * @param {Object} puzzle
+ * @param {Array} puzzle.rowCriteria - One { name: string, code: string } per row; the row count is stored from it.
+ * @param {Array} puzzle.colCriteria - One { name: string, code: string } per column.
+ * @param {number[] | null} [puzzle.cellCounts] - Number of valid cards per cell (row-major), if known.
+ * @param {number | null} [puzzle.difficulty] - Difficulty score 0–100, if known.
+ * @param {string | null} [puzzle.format] - Format answers must be legal in (e.g. "modern"), or null.
+ * @param {string} [puzzle.rules] - Rule set id (js/rules.js), classic by default.
+ * @param {number | null} [puzzle.generatorVersion] - Generator version that made it, or null if written by hand.
+ * @param {string | null} [puzzle.cardData] - Card data it was generated from (puzzles.cardDataVersion), or null.
+ * @param {string} [actor] - Who is saving it: "generator" (automatic) or "admin".
  */
-function savePuzzle(dateStr, rowCriteria, colCriteria) {
+function savePuzzle(dateStr, { rowCriteria, colCriteria, cellCounts = null, difficulty = null, format = null, rules = 'classic', generatorVersion = null, cardData = null }, actor = 'generator') {
     init();
+    const before = getPuzzle(dateStr);
     const stmt = db.prepare(`
-        INSERT INTO puzzles (date, row_criteria, col_criteria)
-        VALUES (?, ?, ?)
+        INSERT INTO puzzles (date, row_criteria, col_criteria, rows, cols, cell_counts, difficulty, format, rules, generator_version, card_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(date) DO UPDATE SET
             row_criteria = excluded.row_criteria,
-            col_criteria = excluded.col_criteria
+            col_criteria = excluded.col_criteria,
+            rows = excluded.rows,
+            cols = excluded.cols,
+            cell_counts = excluded.cell_counts,
+            difficulty = excluded.difficulty,
+            format = excluded.format,
+            rules = excluded.rules,
+            generator_version = excluded.generator_version,
+            card_data = excluded.card_data
+    `);
+    db.transaction(() => {
+        stmt.run(
+            dateStr,
+            JSON.stringify(rowCriteria),
+            JSON.stringify(colCriteria),
+            rowCriteria.length,
+            colCriteria.length,
+            cellCounts ? JSON.stringify(cellCounts) : null,
+            difficulty,
+            format,
+            rules,
+            generatorVersion,
+            cardData
+        );
+        logPuzzleChange(dateStr, before ? 'update' : 'create', actor, before, getPuzzle(dateStr));
+    })();
+}
+
+/**
+ * Removes the puzzle for a date (logged as a "delete" by `actor`).
+ * @returns {boolean} False if that date had no puzzle.
+ */
+function deletePuzzle(dateStr, actor) {
+    init();
+    const before = getPuzzle(dateStr);
+    if (!before) return false;
+    db.transaction(() => {
+        db.prepare('DELETE FROM puzzles WHERE date = ?').run(dateStr);
+        logPuzzleChange(dateStr, 'delete', actor, before, null);
+    })();
+    return true;
+}
+
+/**
+ * Puzzles from `fromDate` onward, oldest first.
+ * @param {number} limit - Max puzzles returned.
+ * @returns {Array<{ date: string, rowCriteria, colCriteria, rows, cols, cellCounts, difficulty, format, rules }>}
+ */
+function getPuzzlesFrom(fromDate, limit) {
+    init();
+    return db.prepare('SELECT date FROM puzzles WHERE date >= ? ORDER BY date LIMIT ?')
+        .all(fromDate, limit)
+        .map(row => ({ date: row.date, ...getPuzzle(row.date) }));
+}
+
+/**
+ * Puzzles dated `fromDate` to `toDate` (inclusive), oldest first.
+ * @returns {Array<{ date: string, rowCriteria, colCriteria, rows, cols, cellCounts, difficulty, format, rules }>}
+ */
+function getPuzzlesBetween(fromDate, toDate) {
+    init();
+    return db.prepare('SELECT date FROM puzzles WHERE date BETWEEN ? AND ? ORDER BY date')
+        .all(fromDate, toDate)
+        .map(row => ({ date: row.date, ...getPuzzle(row.date) }));
+}
+
+/** Every date that has a puzzle, oldest first. */
+function getPuzzleDates() {
+    init();
+    return db.prepare('SELECT date FROM puzzles ORDER BY date').all().map(row => row.date);
+}
+
+/** True once anyone has guessed on the date's puzzle (any recorded guess or accepted answer). */
+function isPuzzlePlayed(dateStr) {
+    init();
+    return !!db.prepare(`
+        SELECT 1 FROM player_guesses WHERE date = ?
+        UNION ALL
+        SELECT 1 FROM answer_picks WHERE date = ?
+        LIMIT 1
+    `).get(dateStr, dateStr);
+}
+
+/** Appends one row to puzzle_audit; `before` / `after` are puzzles (or null). */
+function logPuzzleChange(dateStr, action, actor, before, after) {
+    db.prepare(`
+        INSERT INTO puzzle_audit (date, action, actor, before_json, after_json) VALUES (?, ?, ?, ?, ?)
+    `).run(dateStr, action, actor, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null);
+}
+
+/**
+ * Every logged change to one date's puzzle, newest first.
+ * @returns {Array<{ id, action, actor, before: Object | null, after: Object | null, createdAt }>}
+ */
+function getPuzzleAudit(dateStr) {
+    init();
+    return db.prepare('SELECT * FROM puzzle_audit WHERE date = ? ORDER BY id DESC').all(dateStr).map(row => ({
+        id: row.id,
+        action: row.action,
+        actor: row.actor,
+        before: row.before_json ? JSON.parse(row.before_json) : null,
+        after: row.after_json ? JSON.parse(row.after_json) : null,
+        createdAt: row.created_at
+    }));
+}
+
+// =====================
+// Answer picks
+// =====================
+
+/**
+ * Records one accepted answer: card `oracleId` was a correct pick for `cell` on `dateStr`.
+ * @param {string} dateStr - Puzzle date, YYYY-MM-DD.
+ * @param {number} cell - Cell index, row-major (0–8 on a 3 × 3 board).
+ * @param {string} oracleId
+ */
+function recordAnswer(dateStr, cell, oracleId) {
+    init();
+    db.prepare(`
+        INSERT INTO answer_picks (date, cell, oracle_id, picks) VALUES (?, ?, ?, 1)
+        ON CONFLICT(date, cell, oracle_id) DO UPDATE SET picks = picks + 1
+    `).run(dateStr, cell, oracleId);
+}
+
+/**
+ * How often a card was picked for a cell, out of all accepted answers for that cell.
+ * @returns {{ count: number, total: number }} Both 0 if nobody has solved the cell yet.
+ */
+function getAnswerStats(dateStr, cell, oracleId) {
+    init();
+    const row = db.prepare(`
+        SELECT COALESCE(SUM(picks), 0) AS total,
+               COALESCE(SUM(CASE WHEN oracle_id = ? THEN picks END), 0) AS count
+        FROM answer_picks WHERE date = ? AND cell = ?
+    `).get(oracleId, dateStr, cell);
+    return { count: row.count, total: row.total };
+}
+
+// =====================
+// Players and completed games
+// =====================
+
+/** Creates an anonymous player. `tokenHash` is sha256(token) in hex. */
+function createPlayer(id, tokenHash) {
+    init();
+    db.prepare('INSERT INTO players (id, token_hash) VALUES (?, ?)').run(id, tokenHash);
+}
+
+/**
+ * Finds the player owning a token.
+ * @param {string} tokenHash - sha256(token) in hex.
+ * @returns {{ id: string, username: string | null } | null}
+ */
+function getPlayerByTokenHash(tokenHash) {
+    init();
+    return db.prepare('SELECT id, username FROM players WHERE token_hash = ?').get(tokenHash) || null;
+}
+
+/**
+ * Sets a player's username. Throws a SQLite constraint error (code
+ * SQLITE_CONSTRAINT_UNIQUE) if another player already has it.
+ */
+function setUsername(playerId, username) {
+    init();
+    db.prepare('UPDATE players SET username = ? WHERE id = ?').run(username, playerId);
+}
+
+/** Stores one guess a player made on a puzzle cell. */
+function recordPlayerGuess(playerId, dateStr, cell, oracleId, correct) {
+    init();
+    db.prepare(`
+        INSERT INTO player_guesses (player_id, date, cell, oracle_id, correct) VALUES (?, ?, ?, ?, ?)
+    `).run(playerId, dateStr, cell, oracleId, correct ? 1 : 0);
+}
+
+/**
+ * All of a player's guesses on one puzzle, oldest first.
+ * @returns {Array<{ cell: number, oracle_id: string, correct: number, created_at: string }>}
+ */
+function getPlayerGuesses(playerId, dateStr) {
+    init();
+    return db.prepare(`
+        SELECT cell, oracle_id, correct, created_at FROM player_guesses
+        WHERE player_id = ? AND date = ? ORDER BY id
+    `).all(playerId, dateStr);
+}
+
+/**
+ * Stores a finished game (first completion only; later calls are ignored).
+ * @param {Object} game - { playerId, date, won, totalGuesses, solvedCells,
+ *   cellResults: [{ guesses, solved }], startedAt, finishedAt }.
+ */
+function recordGame(game) {
+    init();
+    db.prepare(`
+        INSERT OR IGNORE INTO games
+            (player_id, date, won, total_guesses, solved_cells, cell_results, started_at, finished_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        game.playerId, game.date, game.won ? 1 : 0, game.totalGuesses, game.solvedCells,
+        JSON.stringify(game.cellResults), game.startedAt, game.finishedAt
+    );
+}
+
+/**
+ * A player's finished games, oldest puzzle first, with that puzzle's criteria.
+ * @returns {Array<{ date, won, totalGuesses, solvedCells, cellResults, rowCriteria, colCriteria }>}
+ */
+function getPlayerGames(playerId) {
+    init();
+    return db.prepare(`
+        SELECT g.*, p.row_criteria, p.col_criteria
+        FROM games g LEFT JOIN puzzles p ON p.date = g.date
+        WHERE g.player_id = ? ORDER BY g.date
+    `).all(playerId).map(row => ({
+        date: row.date,
+        won: !!row.won,
+        totalGuesses: row.total_guesses,
+        solvedCells: row.solved_cells,
+        cellResults: JSON.parse(row.cell_results),
+        rowCriteria: row.row_criteria ? JSON.parse(row.row_criteria) : [],
+        colCriteria: row.col_criteria ? JSON.parse(row.col_criteria) : []
+    }));
+}
+
+/**
+ * Every finished game on one puzzle date, with the player's username.
+ * @returns {Array<{ playerId, username, won, totalGuesses, solvedCells, startedAt, finishedAt }>}
+ */
+function getGamesForDate(dateStr) {
+    init();
+    return db.prepare(`
+        SELECT g.*, pl.username FROM games g JOIN players pl ON pl.id = g.player_id
+        WHERE g.date = ?
+    `).all(dateStr).map(row => ({
+        playerId: row.player_id,
+        username: row.username,
+        won: !!row.won,
+        totalGuesses: row.total_guesses,
+        solvedCells: row.solved_cells,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    }));
+}
+
+/**
+ * Every player's correct guesses on one puzzle date (at most one per player and cell).
+ * @returns {Array<{ player_id: string, cell: number, oracle_id: string }>}
+ */
+function getCorrectGuessesForDate(dateStr) {
+    init();
+    return db.prepare(`
+        SELECT player_id, cell, oracle_id FROM player_guesses
+        WHERE date = ? AND correct = 1
+    `).all(dateStr);
+}
+
+// =====================
+// Cards
+// =====================
+
+/** Words on the left of a type line that are supertypes rather than card types. */
+const SUPERTYPES = ['Basic', 'Legendary', 'Ongoing', 'Snow', 'World', 'Elite', 'Host'];
+
+/** Scryfall layouts that aren't playable cards (tokens, art cards, etc.); skipped on import. */
+const SKIPPED_LAYOUTS = ['token', 'double_faced_token', 'emblem', 'art_series', 'vanguard', 'scheme', 'planar', 'augment', 'host'];
+
+/**
+ * Creates the normalized card tables. Drops the old single-table `cards`
+ * layout (keyed by Scryfall id) if an earlier version created it; it only
+ * held imported data, so re-running the importer restores it.
+ */
+function createCardTables() {
+    const cols = db.prepare("SELECT name FROM pragma_table_info('cards')").all().map(c => c.name);
+    if (cols.length && !cols.includes('oracle_id')) db.exec('DROP TABLE cards');
+
+    // keywords is a JSON array of Scryfall keyword names (e.g. ["Flying","Trample"]).
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cards (
+            oracle_id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            layout TEXT NOT NULL,
+            mana_cost TEXT,
+            cmc REAL NOT NULL DEFAULT 0,
+            type_line TEXT NOT NULL DEFAULT '',
+            oracle_text TEXT,
+            power TEXT,
+            toughness TEXT,
+            loyalty TEXT,
+            keywords TEXT NOT NULL DEFAULT '[]',
+            edhrec_rank INTEGER,
+            first_released_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_cards_name ON cards(name);
+
+        CREATE TABLE IF NOT EXISTS faces (
+            oracle_id TEXT NOT NULL,
+            face_index INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            mana_cost TEXT,
+            type_line TEXT NOT NULL DEFAULT '',
+            oracle_text TEXT,
+            power TEXT,
+            toughness TEXT,
+            colors TEXT,
+            PRIMARY KEY (oracle_id, face_index)
+        );
+
+        CREATE TABLE IF NOT EXISTS printings (
+            id TEXT PRIMARY KEY,
+            oracle_id TEXT NOT NULL,
+            set_code TEXT NOT NULL,
+            set_name TEXT,
+            collector_number TEXT,
+            rarity TEXT,
+            released_at TEXT,
+            images TEXT NOT NULL DEFAULT '[]'
+        );
+        CREATE INDEX IF NOT EXISTS idx_printings_oracle ON printings(oracle_id);
+
+        CREATE TABLE IF NOT EXISTS colors (
+            oracle_id TEXT NOT NULL,
+            kind TEXT NOT NULL CHECK (kind IN ('color', 'identity', 'indicator')),
+            color TEXT NOT NULL,
+            PRIMARY KEY (oracle_id, kind, color)
+        );
+
+        CREATE TABLE IF NOT EXISTS types (
+            oracle_id TEXT NOT NULL,
+            kind TEXT NOT NULL CHECK (kind IN ('supertype', 'type', 'subtype')),
+            name TEXT NOT NULL,
+            PRIMARY KEY (oracle_id, kind, name)
+        );
+        CREATE INDEX IF NOT EXISTS idx_types_name ON types(kind, name);
+
+        CREATE TABLE IF NOT EXISTS legalities (
+            oracle_id TEXT NOT NULL,
+            format TEXT NOT NULL,
+            status TEXT NOT NULL,
+            PRIMARY KEY (oracle_id, format)
+        );
     `);
-    stmt.run(dateStr, JSON.stringify(rowCriteria), JSON.stringify(colCriteria));
 }
 
 /**
- * Returns today's date in YYYY-MM-DD using UTC (e.g. for server-side "today").
+ * Splits a type line into supertypes, card types and subtypes. Multi-face
+ * type lines ("Creature — Human // Creature — Werewolf") contribute every face.
+ * @param {string} typeLine - e.g. "Legendary Creature — Elf Druid".
+ * @returns {{ supertypes: string[], types: string[], subtypes: string[] }}
+ */
+function parseTypeLine(typeLine) {
+    const result = { supertypes: [], types: [], subtypes: [] };
+    const add = (list, word) => { if (word && !list.includes(word)) list.push(word); };
+
+    for (const face of (typeLine || '').split('//')) {
+        const [left, right = ''] = face.split('—');
+        for (const word of left.trim().split(/\s+/)) {
+            add(SUPERTYPES.includes(word) ? result.supertypes : result.types, word);
+        }
+        for (const word of right.trim().split(/\s+/)) add(result.subtypes, word);
+    }
+    return result;
+}
+
+/** Image URLs for a printing: one { small, normal } per face, or a single entry. */
+function printingImages(card) {
+    if (card.image_uris) {
+        return [{ small: card.image_uris.small || null, normal: card.image_uris.normal || null }];
+    }
+    return (card.card_faces || [])
+        .filter(f => f.image_uris)
+        .map(f => ({ small: f.image_uris.small || null, normal: f.image_uris.normal || null }));
+}
+
+/**
+ * Scryfall's `reversible_card` printings (one card printed on both sides) only
+ * carry the oracle fields, oracle_id included, on their faces. Lifts the front
+ * face's fields to the top so the printing imports as the single-faced card it is.
  */
-function todayUTC() {
-    const d = new Date();
-    return d.toISOString().slice(0, 10);  // "2026-02-18"
+function liftReversible(card) {
+    if (card.layout !== 'reversible_card' || !(card.card_faces || []).length) return card;
+    const front = card.card_faces[0];
+    return Object.assign({}, card, front, { layout: front.layout || 'normal', card_faces: [] });
+}
+
+/**
+ * Imports Scryfall card objects (from an "Oracle Cards" or "Default Cards" bulk
+ * file) into the normalized tables. Oracle-level rows are replaced by the
+ * latest object seen for that oracle_id; printings are upserted by Scryfall id.
+ * Runs in one transaction. Call finishImport() once after the last batch.
+ * @param {Array<Object>} cards - Scryfall card objects.
+ * @returns {number} How many cards were imported (non-game layouts are skipped).
+ */
+function importCards(cards) {
+    init();
+    const upsertCard = db.prepare(`
+        INSERT INTO cards (oracle_id, name, layout, mana_cost, cmc, type_line, oracle_text,
+                           power, toughness, loyalty, keywords, edhrec_rank)
+        VALUES (@oracle_id, @name, @layout, @mana_cost, @cmc, @type_line, @oracle_text,
+                @power, @toughness, @loyalty, @keywords, @edhrec_rank)
+        ON CONFLICT(oracle_id) DO UPDATE SET
+            name = excluded.name, layout = excluded.layout, mana_cost = excluded.mana_cost,
+            cmc = excluded.cmc, type_line = excluded.type_line, oracle_text = excluded.oracle_text,
+            power = excluded.power, toughness = excluded.toughness, loyalty = excluded.loyalty,
+            keywords = excluded.keywords, edhrec_rank = excluded.edhrec_rank
+    `);
+    const upsertPrinting = db.prepare(`
+        INSERT INTO printings (id, oracle_id, set_code, set_name, collector_number, rarity, released_at, images)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            oracle_id = excluded.oracle_id, set_code = excluded.set_code, set_name = excluded.set_name,
+            collector_number = excluded.collector_number, rarity = excluded.rarity,
+            released_at = excluded.released_at, images = excluded.images
+    `);
+    const deleteChildren = ['faces', 'colors', 'types', 'legalities']
+        .map(table => db.prepare(`DELETE FROM ${table} WHERE oracle_id = ?`));
+    const insertFace = db.prepare(`
+        INSERT INTO faces (oracle_id, face_index, name, mana_cost, type_line, oracle_text, power, toughness, colors)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertColor = db.prepare('INSERT OR IGNORE INTO colors (oracle_id, kind, color) VALUES (?, ?, ?)');
+    const insertType = db.prepare('INSERT OR IGNORE INTO types (oracle_id, kind, name) VALUES (?, ?, ?)');
+    const insertLegality = db.prepare('INSERT INTO legalities (oracle_id, format, status) VALUES (?, ?, ?)');
+
+    const run = db.transaction((list) => {
+        let count = 0;
+        for (const object of list) {
+            if (!object) continue;
+            const card = liftReversible(object);
+            if (!card.oracle_id || SKIPPED_LAYOUTS.includes(card.layout)) continue;
+            const oracleId = card.oracle_id;
+
+            upsertCard.run({
+                oracle_id: oracleId,
+                name: card.name,
+                layout: card.layout || 'normal',
+                mana_cost: card.mana_cost ?? null,
+                cmc: card.cmc || 0,
+                type_line: card.type_line || '',
+                oracle_text: card.oracle_text ?? null,
+                power: card.power ?? null,
+                toughness: card.toughness ?? null,
+                loyalty: card.loyalty ?? null,
+                keywords: JSON.stringify(card.keywords || []),
+                edhrec_rank: card.edhrec_rank ?? null
+            });
+            upsertPrinting.run(
+                card.id, oracleId, card.set || '', card.set_name || null, card.collector_number || null,
+                card.rarity || null, card.released_at || null, JSON.stringify(printingImages(object))
+            );
+
+            deleteChildren.forEach(stmt => stmt.run(oracleId));
+            (card.card_faces || []).forEach((face, i) => {
+                insertFace.run(
+                    oracleId, i, face.name, face.mana_cost ?? null, face.type_line || '',
+                    face.oracle_text ?? null, face.power ?? null, face.toughness ?? null,
+                    face.colors ? JSON.stringify(face.colors) : null
+                );
+            });
+            (card.colors || []).forEach(c => insertColor.run(oracleId, 'color', c));
+            (card.color_identity || []).forEach(c => insertColor.run(oracleId, 'identity', c));
+            (card.color_indicator || []).forEach(c => insertColor.run(oracleId, 'indicator', c));
+
+            const typeLine = card.type_line || (card.card_faces || []).map(f => f.type_line).join(' // ');
+            const parsed = parseTypeLine(typeLine);
+            parsed.supertypes.forEach(t => insertType.run(oracleId, 'supertype', t));
+            parsed.types.forEach(t => insertType.run(oracleId, 'type', t));
+            parsed.subtypes.forEach(t => insertType.run(oracleId, 'subtype', t));
+
+            Object.entries(card.legalities || {}).forEach(([format, status]) => {
+                insertLegality.run(oracleId, format, status);
+            });
+            count++;
+        }
+        return count;
+    });
+
+    return run(cards);
+}
+
+/**
+ * Recomputes derived columns after an import (currently each card's earliest
+ * printing date). Cheap enough to run after every import.
+ */
+function finishImport() {
+    init();
+    db.exec(`
+        UPDATE cards SET first_released_at = (
+            SELECT MIN(released_at) FROM printings WHERE printings.oracle_id = cards.oracle_id
+        )
+    `);
+}
+
+/** Union of the faces' colors, in WUBRG order. */
+function faceColors(faces) {
+    const all = new Set(faces.flatMap(f => f.colors || []));
+    return ['W', 'U', 'B', 'R', 'G'].filter(c => all.has(c));
+}
+
+/**
+ * Turns a `cards` row plus its child rows into the card object returned by
+ * getCard(). `parts` holds the rows from colors, types, legalities, faces and
+ * printings for this oracle_id; `print` is the printings row to show (or undefined).
+ */
+function assembleCard(row, parts, print) {
+    const colorsOf = (kind) => parts.colors.filter(r => r.kind === kind).map(r => r.color);
+    const typesOf = (kind) => parts.types.filter(r => r.kind === kind).map(r => r.name);
+    const legalities = {};
+    for (const l of parts.legalities) legalities[l.format] = l.status;
+    const faces = parts.faces.map(f => ({
+        name: f.name,
+        manaCost: f.mana_cost,
+        type: f.type_line,
+        oracleText: f.oracle_text,
+        power: f.power,
+        toughness: f.toughness,
+        colors: f.colors ? JSON.parse(f.colors) : null
+    }));
+    const images = print ? JSON.parse(print.images) : [];
+    const printings = parts.printings || [];
+
+    return {
+        id: print ? print.id : null,
+        oracleId: row.oracle_id,
+        name: row.name,
+        layout: row.layout,
+        type: row.type_line,
+        // Double-faced cards have no top-level cost or text; show the faces'.
+        manaCost: row.mana_cost || faces.map(f => f.manaCost).filter(Boolean).join(' // ') || 'N/A',
+        cmc: row.cmc,
+        oracleText: row.oracle_text ?? (faces.length ? faces.map(f => f.oracleText || '').join('\n//\n') : null),
+        power: row.power,
+        toughness: row.toughness,
+        loyalty: row.loyalty,
+        keywords: JSON.parse(row.keywords),
+        // Transform/modal DFCs only carry colors on their faces, so fall back to those.
+        colors: colorsOf('color').length ? colorsOf('color') : faceColors(faces),
+        colorIdentity: colorsOf('identity'),
+        colorIndicator: colorsOf('indicator'),
+        supertypes: typesOf('supertype'),
+        types: typesOf('type'),
+        subtypes: typesOf('subtype'),
+        legalities,
+        faces,
+        edhrecRank: row.edhrec_rank,
+        firstReleasedAt: row.first_released_at,
+        released_at: print ? print.released_at : row.first_released_at,
+        set: print ? print.set_code : null,
+        setName: print ? print.set_name : null,
+        rarity: print ? print.rarity : null,
+        sets: [...new Set(printings.map(p => p.set_code))],
+        rarities: [...new Set(printings.map(p => p.rarity).filter(Boolean))],
+        imageUrl: images[0] ? (images[0].normal || images[0].small) : null,
+        images
+    };
+}
+
+// Oldest printing first; printings without a release date go last, never "first".
+const PRINTING_ORDER = 'released_at IS NULL, released_at, id';
+
+/** Assembles the full card object for one oracle_id (see getCard for the shape). */
+function buildCard(oracleId, printing) {
+    const row = db.prepare('SELECT * FROM cards WHERE oracle_id = ?').get(oracleId);
+    if (!row) return null;
+
+    const parts = {
+        colors: db.prepare('SELECT kind, color FROM colors WHERE oracle_id = ?').all(oracleId),
+        types: db.prepare('SELECT kind, name FROM types WHERE oracle_id = ?').all(oracleId),
+        legalities: db.prepare('SELECT format, status FROM legalities WHERE oracle_id = ?').all(oracleId),
+        faces: db.prepare('SELECT * FROM faces WHERE oracle_id = ? ORDER BY face_index').all(oracleId),
+        printings: db.prepare(
+            `SELECT set_code, rarity FROM printings WHERE oracle_id = ? ORDER BY ${PRINTING_ORDER}`
+        ).all(oracleId)
+    };
+
+    // Default to the earliest printing when no specific printing was asked for.
+    const print = printing || db.prepare(
+        `SELECT * FROM printings WHERE oracle_id = ? ORDER BY ${PRINTING_ORDER} LIMIT 1`
+    ).get(oracleId);
+
+    return assembleCard(row, parts, print);
+}
+
+/**
+ * Loads one card by Scryfall printing id or oracle id.
+ * @param {string} id - Scryfall card id or oracle_id (UUIDs).
+ * @returns {Object|null} Card with name, type, manaCost, cmc, colors, colorIdentity,
+ *   supertypes/types/subtypes, keywords, faces, legalities, printing fields
+ *   (id, set, rarity, released_at, imageUrl) and, across every printing, the
+ *   set codes and rarities it has appeared in (sets, rarities). Null if the id is unknown.
+ */
+function getCard(id) {
+    init();
+    const printing = db.prepare('SELECT * FROM printings WHERE id = ?').get(id);
+    if (printing) return buildCard(printing.oracle_id, printing);
+    return buildCard(id, null);
+}
+
+/**
+ * Loads every card at once (same shape as getCard(), using each card's earliest
+ * printing). Used to count how many cards satisfy a puzzle cell; a full import
+ * is ~30k cards, so callers should cache the result.
+ * @returns {Array<Object>}
+ */
+function getAllCards() {
+    init();
+    const group = (rows) => {
+        const map = new Map();
+        for (const r of rows) {
+            if (!map.has(r.oracle_id)) map.set(r.oracle_id, []);
+            map.get(r.oracle_id).push(r);
+        }
+        return map;
+    };
+    const colors = group(db.prepare('SELECT oracle_id, kind, color FROM colors').all());
+    const types = group(db.prepare('SELECT oracle_id, kind, name FROM types').all());
+    const legalities = group(db.prepare('SELECT oracle_id, format, status FROM legalities').all());
+    const faces = group(db.prepare('SELECT * FROM faces ORDER BY oracle_id, face_index').all());
+    const allPrintings = db.prepare(`SELECT * FROM printings ORDER BY ${PRINTING_ORDER}`).all();
+    const printings = group(allPrintings);
+    const firstPrintings = new Map();
+    for (const p of allPrintings) {
+        if (!firstPrintings.has(p.oracle_id)) firstPrintings.set(p.oracle_id, p);
+    }
+
+    return db.prepare('SELECT * FROM cards ORDER BY name').all().map(row => assembleCard(row, {
+        colors: colors.get(row.oracle_id) || [],
+        types: types.get(row.oracle_id) || [],
+        legalities: legalities.get(row.oracle_id) || [],
+        faces: faces.get(row.oracle_id) || [],
+        printings: printings.get(row.oracle_id) || []
+    }, firstPrintings.get(row.oracle_id)));
+}
+
+/**
+ * Lists every card name with its face names, for building the search index.
+ * @returns {Array<{ oracleId: string, name: string, faceNames: string[] }>}
+ */
+function getCardNames() {
+    init();
+    const faces = new Map();
+    for (const f of db.prepare('SELECT oracle_id, name FROM faces ORDER BY face_index').all()) {
+        if (!faces.has(f.oracle_id)) faces.set(f.oracle_id, []);
+        faces.get(f.oracle_id).push(f.name);
+    }
+    return db.prepare('SELECT oracle_id, name FROM cards').all().map(c => ({
+        oracleId: c.oracle_id,
+        name: c.name,
+        faceNames: faces.get(c.oracle_id) || []
+    }));
+}
+
+/** Number of oracle cards in the local card tables (0 before the first import). */
+function countCards() {
+    init();
+    return db.prepare('SELECT COUNT(*) AS n FROM cards').get().n;
 }
 
 module.exports = {
     init,
     getPuzzle,
     savePuzzle,
-    todayUTC
+    deletePuzzle,
+    getPuzzlesFrom,
+    getPuzzlesBetween,
+    getPuzzleDates,
+    isPuzzlePlayed,
+    getPuzzleAudit,
+    recordAnswer,
+    getAnswerStats,
+    createPlayer,
+    getPlayerByTokenHash,
+    setUsername,
+    recordPlayerGuess,
+    getPlayerGuesses,
+    recordGame,
+    getPlayerGames,
+    getGamesForDate,
+    getCorrectGuessesForDate,
+    importCards,
+    finishImport,
+    getCard,
+    getAllCards,
+    getCardNames,
+    countCards,
+    parseTypeLine
 };
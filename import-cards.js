@@ -0,0 +1,93 @@
+/**
+ * MTGDoku — Scryfall bulk-data importer.
+ *
+ * Loads a Scryfall bulk-data JSON file ("Oracle Cards" or "Default Cards",
+ * downloadable from https://scryfall.com/docs/api/bulk-data) into the card
+ * tables in mtgdoku.db. Safe to re-run: cards and printings are upserted.
+ * Prints the card data version (puzzles.cardDataVersion) at the end: the same
+ * file always gives the same version.
+ *
+ * Usage: npm run import-cards -- path/to/oracle-cards.json
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const db = require('./db');
+const puzzles = require('./puzzles');
+
+// Cards are written in batches so one transaction never holds the whole file.
+const BATCH_SIZE = 1000;
+
+/**
+ * Yields card objects from a bulk file. Scryfall writes one card per line
+ * ("[", "{...},", "{...}", "]"), which lets us stream files that are too big
+ * to parse in one go. Anything else (e.g. a minified fixture) is parsed whole.
+ */
+async function* readCards(filePath) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    let lineNo = 0;
+    let yielded = 0;
+    for await (const raw of lines) {
+        lineNo++;
+        const line = raw.trim().replace(/,$/, '');
+        if (line === '' || line === '[' || line === ']') continue;
+
+        let card;
+        try {
+            card = JSON.parse(line);
+        } catch (err) {
+            // Not one-card-per-line (minified or pretty-printed): parse the whole file.
+            if (yielded === 0) {
+                lines.close();
+                yield* JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                return;
+            }
+            throw new Error(`Line ${lineNo} is not a card object: ${err.message}`);
+        }
+        // A minified file that fits on one line parses straight to the array.
+        if (Array.isArray(card)) {
+            yield* card;
+            return;
+        }
+        yielded++;
+        yield card;
+    }
+}
+
+async function main() {
+    const filePath = process.argv[2];
+    if (!filePath) {
+        console.error('Usage: npm run import-cards -- <scryfall-bulk-file.json>');
+        process.exit(1);
+    }
+    if (!fs.existsSync(filePath)) {
+        console.error(`File not found: ${filePath}`);
+        process.exit(1);
+    }
+
+    let batch = [];
+    let seen = 0;
+    let imported = 0;
+    for await (const card of readCards(filePath)) {
+        batch.push(card);
+        seen++;
+        if (batch.length === BATCH_SIZE) {
+            imported += db.importCards(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) imported += db.importCards(batch);
+    db.finishImport();
+
+    console.log(`Imported ${imported} of ${seen} objects (${db.countCards()} cards in database).`);
+    console.log(`Card data version: ${puzzles.cardDataVersion()} (set CARD_DATA_VERSION to this to pin it)`);
+}
+
+main().catch(err => {
+    console.error('Import failed:', err.message);
+    process.exit(1);
+});
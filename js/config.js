@@ -0,0 +1,14 @@
+/**
+ * MTGDoku — Frontend configuration shared by every page.
+ *
+ * On GitHub Pages, the static frontend is hosted at user.github.io/<repo>,
+ * but the Node/SQLite backend must be hosted elsewhere (e.g. Render/Railway).
+ * BACKEND_BASE switches between local origin (dev) and a configurable
+ * production URL when running under *.github.io.
+ */
+const BACKEND_BASE = window.location.hostname.endsWith('github.io')
+    ? 'https://YOUR-BACKEND-HOST-HERE'   // TODO: replace with your deployed backend URL
+    : window.location.origin;
+
+// localStorage key holding this browser's anonymous player { id, token }.
+const PLAYER_STORAGE_KEY = 'mtgdoku:player';
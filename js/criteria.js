@@ -0,0 +1,624 @@
+/**
+ * MTGDoku — Criteria expression language, shared by server.js and js/game.js.
+ *
+ * A criterion's `code` is a small Scryfall-like query:
+ *   mv<=2                      mana value at most 2
+ *   t:creature c:u             creature AND blue (terms next to each other are ANDed)
+ *   year>=2000 year<=2019      first printed 2000–2019
+ *   t:instant or t:sorcery     either
+ *   -c:r / not c:r             negation
+ *   (t:artifact or t:"enchantment creature") mv=3
+ *
+ *   kw:flying pow>=4           keyword ability, power
+ *   s:isd or s:dka or s:avr    printed in any of these sets (a block)
+ *   r>=rare o:"draw a card"    printed at rare or mythic, rules text contains
+ *   c=r / c:c / c:m            exactly mono-red / colorless / multicolored
+ *   id:rw / id>=g              color identity within Boros / including green
+ *   f:modern / banned:commander   legal in Modern / banned in Commander
+ *
+ * Operators are ":", "=", "!=", "<", "<=", ">", ">=". Values are bare words
+ * or quoted with "..." or '...'. Field names have aliases (c/color/colour,
+ * id/identity/ci, t/type, mv/cmc/manavalue, kw/keyword, st/subtype,
+ * pow/power, tou/toughness, s/set/e/edition, r/rarity, o/oracle,
+ * f/format/legal).
+ * Keywords AND, OR, NOT are case-insensitive.
+ *
+ * In Node this file is a CommonJS module; in the browser it defines the
+ * global `MTGDokuCriteria`. Either way the API is:
+ *   parse(code) → AST (throws on syntax errors), matches(code, card),
+ *   describe(code), isValid(code), mayOverlap(codeA, codeB), and FORMATS
+ *   (Scryfall format key → display name).
+ * `card` is the shape returned by db.getCard().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MTGDokuCriteria = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // =====================
+    // Fields
+    // =====================
+    // Each field says how values are compared (`kind`) and how to read it off a card.
+    //   number — numeric comparison (cards without the value, e.g. no power, never match)
+    //   text   — ":" contains, "=" equals, "!=" doesn't contain (case-insensitive)
+    //   list   — ":" / "=" the card's list has this entry, "!=" it doesn't (case-insensitive)
+    //   rarity — common < uncommon < rare < special < mythic < bonus; true if any printing matches
+    //   colors — set comparison on WUBRG letters; `colon` is what ":" means for the field
+    //            (">=" at least these colors, "<=" within these, as Scryfall's c: and id:).
+    //            "c" is colorless, "m" multicolored (two or more colors).
+    //   legality — the value is a format (see FORMATS); true if the card's Scryfall
+    //            legality there is one of the field's `statuses`.
+    // `perFace` fields are read from each face of a multi-face card (see faceViews);
+    // the rest describe the whole card.
+
+    const FIELDS = {
+        color: {
+            aliases: ['c', 'color', 'colour'],
+            kind: 'colors',
+            colon: '>=',
+            label: 'Color',
+            get: card => card.colors || []
+        },
+        identity: {
+            aliases: ['id', 'identity', 'ci'],
+            kind: 'colors',
+            colon: '<=',
+            label: 'Color identity',
+            get: card => card.colorIdentity || []
+        },
+        type: {
+            aliases: ['t', 'type'],
+            kind: 'text',
+            label: 'Type',
+            perFace: true,
+            get: card => card.type || ''
+        },
+        mv: {
+            aliases: ['mv', 'cmc', 'manavalue'],
+            kind: 'number',
+            label: 'Mana value',
+            get: card => (card.cmc !== undefined && card.cmc !== null ? card.cmc : 0)
+        },
+        // The year the card was first printed, so a reprint never changes the verdict.
+        year: {
+            aliases: ['year'],
+            kind: 'number',
+            label: 'First printed',
+            get: card => {
+                const date = card.firstReleasedAt || card.released_at;
+                return date ? parseInt(date.slice(0, 4), 10) : null;
+            }
+        },
+        power: {
+            aliases: ['pow', 'power'],
+            kind: 'number',
+            label: 'Power',
+            perFace: true,
+            get: card => toNumber(card.power)
+        },
+        toughness: {
+            aliases: ['tou', 'toughness'],
+            kind: 'number',
+            label: 'Toughness',
+            perFace: true,
+            get: card => toNumber(card.toughness)
+        },
+        keyword: {
+            aliases: ['kw', 'keyword'],
+            kind: 'list',
+            label: 'Keyword',
+            get: card => card.keywords || []
+        },
+        subtype: {
+            aliases: ['st', 'subtype'],
+            kind: 'list',
+            label: 'Subtype',
+            get: card => card.subtypes || []
+        },
+        supertype: {
+            aliases: ['supertype'],
+            kind: 'list',
+            label: 'Supertype',
+            get: card => card.supertypes || []
+        },
+        set: {
+            aliases: ['s', 'set', 'e', 'edition'],
+            kind: 'list',
+            label: 'Set',
+            get: card => card.sets || (card.set ? [card.set] : [])
+        },
+        rarity: {
+            aliases: ['r', 'rarity'],
+            kind: 'rarity',
+            label: 'Rarity',
+            get: card => card.rarities || (card.rarity ? [card.rarity] : [])
+        },
+        oracle: {
+            aliases: ['o', 'oracle'],
+            kind: 'text',
+            label: 'Rules text',
+            perFace: true,
+            get: card => card.oracleText || ''
+        },
+        // Restricted cards are legal (one copy), as with Scryfall's f:vintage.
+        legal: {
+            aliases: ['f', 'format', 'legal'],
+            kind: 'legality',
+            label: 'Legal in',
+            statuses: ['legal', 'restricted'],
+            get: card => card.legalities || {}
+        },
+        banned: {
+            aliases: ['banned'],
+            kind: 'legality',
+            label: 'Banned in',
+            statuses: ['banned'],
+            get: card => card.legalities || {}
+        },
+        restricted: {
+            aliases: ['restricted'],
+            kind: 'legality',
+            label: 'Restricted in',
+            statuses: ['restricted'],
+            get: card => card.legalities || {}
+        }
+    };
+
+    // alias → field name
+    const ALIASES = new Map();
+    for (const [name, field] of Object.entries(FIELDS)) {
+        for (const alias of field.aliases) ALIASES.set(alias, name);
+    }
+
+    const COLOR_NAMES = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+
+    /** True if `key` is one of the table's own entries (so "constructor" or "toString" never match). */
+    function hasEntry(table, key) {
+        return Object.prototype.hasOwnProperty.call(table, key);
+    }
+
+    // Scryfall's rarity order; one-letter forms accepted too (r:m).
+    const RARITIES = ['common', 'uncommon', 'rare', 'special', 'mythic', 'bonus'];
+    const RARITY_LETTERS = { c: 'common', u: 'uncommon', r: 'rare', s: 'special', m: 'mythic', b: 'bonus' };
+
+    // Formats in Scryfall's `legalities`, with the names players know them by.
+    const FORMATS = {
+        standard: 'Standard',
+        future: 'Future Standard',
+        pioneer: 'Pioneer',
+        modern: 'Modern',
+        legacy: 'Legacy',
+        vintage: 'Vintage',
+        pauper: 'Pauper',
+        commander: 'Commander',
+        paupercommander: 'Pauper Commander',
+        duel: 'Duel Commander',
+        oathbreaker: 'Oathbreaker',
+        brawl: 'Brawl',
+        standardbrawl: 'Standard Brawl',
+        historic: 'Historic',
+        timeless: 'Timeless',
+        gladiator: 'Gladiator',
+        explorer: 'Explorer',
+        alchemy: 'Alchemy',
+        penny: 'Penny Dreadful',
+        oldschool: 'Old School',
+        premodern: 'Premodern',
+        predh: 'PreDH'
+    };
+
+    /** "3" → 3; "*", "1+*" or a missing value → null (only printed numbers compare). */
+    function toNumber(value) {
+        if (value === null || value === undefined || !/^-?\d+(\.\d+)?$/.test(String(value))) return null;
+        return Number(value);
+    }
+
+    const OP_SYMBOLS = { ':': '=', '=': '=', '!=': '≠', '<': '<', '<=': '≤', '>': '>', '>=': '≥' };
+
+    /**
+     * Turns "ur", "blue" or "WU" into color letters in WUBRG order ("c" /
+     * "colorless" → []), or null if it isn't colors.
+     */
+    function parseColors(value) {
+        const lower = value.toLowerCase();
+        if (hasEntry(COLOR_NAMES, lower)) return [COLOR_NAMES[lower]];
+        if (lower === 'c' || lower === 'colorless') return [];
+        if (!/^[wubrg]+$/.test(lower)) return null;
+        return [...new Set(lower.toUpperCase())].sort((a, b) => 'WUBRG'.indexOf(a) - 'WUBRG'.indexOf(b));
+    }
+
+    // =====================
+    // Parser
+    // =====================
+
+    /** Splits a code into "(", ")", "-", keyword/term tokens. Quoted values stay whole. */
+    function tokenize(code) {
+        const tokens = [];
+        // Anything that isn't whitespace matches some branch, so exec() only stops at the end.
+        const re = /\s*(?:(\()|(\))|(-)(?=[\w(])|([a-z]+)(!=|<=|>=|[:=<>])("[^"]*"|'[^']*'|[^\s()]+)|([^\s()]+))/iy;
+        let match;
+        while ((match = re.exec(code)) !== null) {
+            const pos = match.index + match[0].length - match[0].trimStart().length;
+            if (match[1]) tokens.push({ type: '(', pos });
+            else if (match[2]) tokens.push({ type: ')', pos });
+            else if (match[3]) tokens.push({ type: 'not', pos });
+            else if (match[4]) {
+                let value = match[6];
+                if (/^["']/.test(value)) {
+                    // An opening quote with no closing one only matches as a bare word.
+                    if (value.length < 2 || !value.endsWith(value[0])) {
+                        throw new Error(`Unclosed quote at ${match.index + match[0].length - value.length} in "${code}"`);
+                    }
+                    value = value.slice(1, -1);
+                }
+                tokens.push({ type: 'term', field: match[4].toLowerCase(), op: match[5], value, pos });
+            } else {
+                const word = match[7].toLowerCase();
+                if (word === 'and' || word === 'or' || word === 'not') tokens.push({ type: word, pos });
+                else throw new Error(`Unexpected "${match[7]}" at ${pos} in "${code}"`);
+            }
+        }
+        return tokens;
+    }
+
+    /** Checks a term's field, operator and value and returns its AST node. */
+    function buildTerm(token, code) {
+        const fieldName = ALIASES.get(token.field);
+        if (!fieldName) throw new Error(`Unknown field "${token.field}" in "${code}"`);
+        const field = FIELDS[fieldName];
+        const node = { op: 'term', field: fieldName, cmp: token.op, value: token.value };
+
+        if (field.kind === 'number') {
+            node.value = Number(token.value);
+            if (token.value === '' || Number.isNaN(node.value)) {
+                throw new Error(`${field.label} needs a number, got "${token.value}" in "${code}"`);
+            }
+        } else if (field.kind === 'colors') {
+            const lower = token.value.toLowerCase();
+            if (lower === 'm' || lower === 'multicolor' || lower === 'multicolored') {
+                if (![':', '=', '!='].includes(token.op)) {
+                    throw new Error(`Multicolored can't be compared with "${token.op}" in "${code}"`);
+                }
+                node.value = 'multicolor';
+                return node;
+            }
+            node.value = parseColors(token.value);
+            if (!node.value) throw new Error(`Unknown colors "${token.value}" in "${code}"`);
+            // ":" takes the field's meaning; colorless is always "exactly no colors".
+            if (token.op === ':') node.cmp = node.value.length ? field.colon : '=';
+        } else if (field.kind === 'rarity') {
+            const lower = token.value.toLowerCase();
+            node.value = hasEntry(RARITY_LETTERS, lower) ? RARITY_LETTERS[lower] : lower;
+            if (!RARITIES.includes(node.value)) throw new Error(`Unknown rarity "${token.value}" in "${code}"`);
+        } else {
+            // text, list and legality
+            if (![':', '=', '!='].includes(token.op)) {
+                throw new Error(`${field.label} can't be compared with "${token.op}" in "${code}"`);
+            }
+            node.value = token.value.toLowerCase();
+            if (field.kind === 'legality' && !hasEntry(FORMATS, node.value)) {
+                throw new Error(`Unknown format "${token.value}" in "${code}"`);
+            }
+            // "t!=creature" is "not t:creature", so it follows the multi-face rule for "not".
+            if (token.op === '!=') return { op: 'not', arg: Object.assign(node, { cmp: ':' }) };
+        }
+        return node;
+    }
+
+    /**
+     * Parses a criteria code into an AST:
+     *   { op: 'and' | 'or', args: [...] }, { op: 'not', arg }, { op: 'term', field, cmp, value }.
+     * Throws an Error describing the problem for malformed codes.
+     */
+    function parse(code) {
+        if (typeof code !== 'string' || !code.trim()) throw new Error('Empty criteria code');
+        const tokens = tokenize(code);
+        let i = 0;
+
+        const peek = () => tokens[i];
+        const fail = (msg) => {
+            const at = peek() ? ` at ${peek().pos}` : ' at end';
+            throw new Error(`${msg}${at} in "${code}"`);
+        };
+
+        // or := and ("or" and)*
+        function parseOr() {
+            const args = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                i++;
+                args.push(parseAnd());
+            }
+            return args.length === 1 ? args[0] : { op: 'or', args };
+        }
+
+        // and := unary (("and")? unary)*
+        function parseAnd() {
+            const args = [parseUnary()];
+            while (peek() && peek().type !== 'or' && peek().type !== ')') {
+                if (peek().type === 'and') i++;
+                args.push(parseUnary());
+            }
+            return args.length === 1 ? args[0] : { op: 'and', args };
+        }
+
+        // unary := ("-" | "not") unary | "(" or ")" | term
+        function parseUnary() {
+            const token = peek();
+            if (!token) fail('Expected a term');
+            if (token.type === 'not') {
+                i++;
+                return { op: 'not', arg: parseUnary() };
+            }
+            if (token.type === '(') {
+                i++;
+                const inner = parseOr();
+                if (!peek() || peek().type !== ')') fail('Expected ")"');
+                i++;
+                return inner;
+            }
+            if (token.type === 'term') {
+                i++;
+                return buildTerm(token, code);
+            }
+            fail(`Unexpected "${token.type}"`);
+        }
+
+        const ast = parseOr();
+        if (i < tokens.length) fail('Unexpected input');
+        return ast;
+    }
+
+    // Parsed codes, so a board's criteria are parsed once for the whole card pool.
+    // Codes can come from admins and players, so only the most recent are kept.
+    const PARSE_CACHE_SIZE = 500;
+    const cache = new Map();
+
+    function parseCached(code) {
+        let ast = cache.get(code);
+        if (ast) {
+            cache.delete(code);  // Re-inserted below as the most recent
+        } else {
+            ast = parse(code);
+            if (cache.size >= PARSE_CACHE_SIZE) cache.delete(cache.keys().next().value);  // Oldest first
+        }
+        cache.set(code, ast);
+        return ast;
+    }
+
+    /** True if `code` parses. */
+    function isValid(code) {
+        try {
+            parseCached(code);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // =====================
+    // Evaluation
+    // =====================
+
+    function compareNumbers(a, op, b) {
+        switch (op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '!=': return a !== b;
+            default: return a === b;  // ":" and "="
+        }
+    }
+
+    /** Compares a card's colors with the term's colors (":" was resolved when parsing). */
+    function compareColors(cardColors, op, wanted) {
+        const have = new Set(cardColors.map(c => c.toUpperCase()));
+        if (wanted === 'multicolor') return (have.size >= 2) === (op !== '!=');
+        const sub = wanted.every(c => have.has(c));   // card has every wanted color
+        const sup = [...have].every(c => wanted.includes(c));  // card has no other color
+        switch (op) {
+            case '=': return sub && sup;
+            case '!=': return !(sub && sup);
+            case '<=': return sup;
+            case '<': return sup && !sub;
+            case '>': return sub && !sup;
+            default: return sub;  // ">="
+        }
+    }
+
+    /**
+     * Evaluates a node against one view of a card. `views` is every view of
+     * the card (see faceViews): "not" holds only if no view matches.
+     */
+    function evaluate(node, card, views = [card]) {
+        switch (node.op) {
+            case 'and': return node.args.every(arg => evaluate(arg, card, views));
+            case 'or': return node.args.some(arg => evaluate(arg, card, views));
+            case 'not': return !views.some(view => evaluate(node.arg, view, views));
+            default: {
+                const field = FIELDS[node.field];
+                const actual = field.get(card);
+                if (field.kind === 'number') return actual !== null && compareNumbers(actual, node.cmp, node.value);
+                if (field.kind === 'colors') return compareColors(actual, node.cmp, node.value);
+                if (field.kind === 'rarity') {
+                    const wanted = RARITIES.indexOf(node.value);
+                    return actual.some(r => compareNumbers(RARITIES.indexOf(r), node.cmp, wanted));
+                }
+                if (field.kind === 'list') return actual.some(entry => entry.toLowerCase() === node.value);
+                if (field.kind === 'legality') return field.statuses.includes(actual[node.value]);
+                const text = String(actual).toLowerCase();
+                return node.cmp === '=' ? text === node.value : text.includes(node.value);
+            }
+        }
+    }
+
+    // =====================
+    // Multi-face cards
+    // =====================
+    // Split, adventure, flip, transform and modal double-faced cards are matched
+    // against the whole card and then against each face; a criterion holds if
+    // any of these views satisfies all of it (so "t:creature pow>=4" needs one
+    // face that is both). Negations are strict: "-t:creature" means no view is
+    // a creature, so Valki // Tibalt is not a noncreature card. A face view takes that face's type line, rules text,
+    // power and toughness; everything else stays whole-card:
+    //   - colors: union of the faces (Fire // Ice is red and blue)
+    //   - mana value: Scryfall's card-level value, i.e. split cards add both
+    //     halves (Fire // Ice is 4) and a back face has its front face's value
+    //   - identity, keywords, subtypes, sets, rarity and first-printing year
+    // Meld cards are separate cards, so they need no special handling.
+
+    /** The whole card followed by one view per face. */
+    function faceViews(card) {
+        const views = [card];
+        for (const face of card.faces || []) {
+            views.push(Object.assign({}, card, {
+                type: face.type || '',
+                oracleText: face.oracleText || '',
+                power: face.power,
+                toughness: face.toughness
+            }));
+        }
+        return views;
+    }
+
+    /** True if the card (or one of its faces) satisfies the criteria code. Throws if the code doesn't parse. */
+    function matches(code, card) {
+        const ast = parseCached(code);
+        const views = faceViews(card);
+        return views.some(view => evaluate(ast, view, views));
+    }
+
+    // =====================
+    // Describing and comparing criteria
+    // =====================
+
+    function describeNode(node, nested) {
+        if (node.op === 'and' || node.op === 'or') {
+            const text = node.args.map(arg => describeNode(arg, true)).join(` ${node.op} `);
+            return nested ? `(${text})` : text;
+        }
+        if (node.op === 'not') return `not ${describeNode(node.arg, true)}`;
+
+        const field = FIELDS[node.field];
+        const value = Array.isArray(node.value) ? node.value.join('') : node.value;
+        if (field.kind === 'text' && node.cmp === ':') return `${field.label} contains "${value}"`;
+        if (field.kind === 'list') return `${field.label} ${value}`;
+        if (field.kind === 'legality') return `${field.label} ${FORMATS[value]}`;
+        if (field.kind === 'colors') {
+            const not = node.cmp === '!=' ? 'not ' : '';
+            if (value === 'multicolor') return `${field.label} ${not}multicolored`;
+            if (!value) return `${field.label} ${not}colorless`;
+            if (node.cmp === '>=') return `${field.label} includes ${value}`;
+            if (node.cmp === '<=') return `${field.label} within ${value}`;
+            if (node.cmp === '=') return `${field.label} exactly ${value}`;
+        }
+        return `${field.label} ${OP_SYMBOLS[node.cmp]} ${value}`;
+    }
+
+    /** Human-readable reading of a code, e.g. "Year ≥ 2000 and Year ≤ 2019". */
+    function describe(code) {
+        return describeNode(parseCached(code), false);
+    }
+
+    // Every (colors, colorIdentity) pair a card can have: colors are always within its identity.
+    const COLOR_COMBOS = [];
+    for (let mask = 0; mask < 243; mask++) {  // 3^5: each color absent, in identity only, or a card color
+        const colors = [];
+        const colorIdentity = [];
+        let m = mask;
+        for (const c of 'WUBRG') {
+            if (m % 3 >= 1) colorIdentity.push(c);
+            if (m % 3 === 2) colors.push(c);
+            m = Math.floor(m / 3);
+        }
+        COLOR_COMBOS.push({ colors, colorIdentity });
+    }
+
+    /** Every field name a node refers to. */
+    function fieldsOf(node, out = new Set()) {
+        if (node.args) node.args.forEach(arg => fieldsOf(arg, out));
+        else if (node.arg) fieldsOf(node.arg, out);
+        else out.add(node.field);
+        return out;
+    }
+
+    /**
+     * The numeric range a node allows, if it is one comparison or an AND of
+     * comparisons on a single number field: { field, lo, hi, loOpen, hiOpen }.
+     * Null for anything else.
+     */
+    function rangeOf(node) {
+        const terms = node.op === 'and' ? node.args : [node];
+        if (!terms.every(t => t.op === 'term' && FIELDS[t.field].kind === 'number' && t.cmp !== '!=')) return null;
+        if (new Set(terms.map(t => t.field)).size !== 1) return null;
+
+        const range = { field: terms[0].field, lo: -Infinity, hi: Infinity, loOpen: false, hiOpen: false };
+        for (const t of terms) {
+            if (t.cmp === ':' || t.cmp === '=' || t.cmp === '>=' || t.cmp === '>') {
+                const open = t.cmp === '>';
+                if (t.value > range.lo || (t.value === range.lo && open)) Object.assign(range, { lo: t.value, loOpen: open });
+            }
+            if (t.cmp === ':' || t.cmp === '=' || t.cmp === '<=' || t.cmp === '<') {
+                const open = t.cmp === '<';
+                if (t.value < range.hi || (t.value === range.hi && open)) Object.assign(range, { hi: t.value, hiOpen: open });
+            }
+        }
+        return range;
+    }
+
+    /**
+     * Could one card satisfy both codes? False only when they provably can't:
+     * disjoint ranges on the same whole-card number field (mv=3 vs mv=4,
+     * year<2000 vs year>=2000), color/identity codes no color combination
+     * satisfies together (colorless vs White, mono-red vs multicolored,
+     * identity within RW vs green), or two different legalities in one format
+     * (legal vs banned in Modern).
+     * Each code may be met by a different face, so per-face fields never rule
+     * a pair out: an adventure card is both an instant and a creature with
+     * power, Delver of Secrets has power 1 and 3. Anything else is assumed
+     * possible; with a card database the real answer counts decide.
+     */
+    function mayOverlap(codeA, codeB) {
+        const a = parseCached(codeA);
+        const b = parseCached(codeB);
+
+        // Color-only codes (colors and identity are linked): try every combination a card can have.
+        const fieldsA = fieldsOf(a);
+        const fieldsB = fieldsOf(b);
+        const colorOnly = (fields) => [...fields].every(f => FIELDS[f].kind === 'colors');
+        if (colorOnly(fieldsA) && colorOnly(fieldsB)) {
+            return COLOR_COMBOS.some(card => evaluate(a, card) && evaluate(b, card));
+        }
+
+        // A card has one legality per format.
+        const isLegality = (n) => n.op === 'term' && FIELDS[n.field].kind === 'legality';
+        if (isLegality(a) && isLegality(b) && a.value === b.value) {
+            return FIELDS[a.field].statuses.some(s => FIELDS[b.field].statuses.includes(s));
+        }
+        if (![...fieldsB].some(f => fieldsA.has(f))) return true;
+
+        const rangeA = rangeOf(a);
+        const rangeB = rangeOf(b);
+        if (rangeA && rangeB && rangeA.field === rangeB.field && !FIELDS[rangeA.field].perFace) {
+            const lo = Math.max(rangeA.lo, rangeB.lo);
+            const hi = Math.min(rangeA.hi, rangeB.hi);
+            if (lo > hi) return false;
+            if (lo === hi) {
+                const openAt = (r, v) => (r.lo === v && r.loOpen) || (r.hi === v && r.hiOpen);
+                return !openAt(rangeA, lo) && !openAt(rangeB, lo);
+            }
+            return true;
+        }
+        return true;
+    }
+
+    return {
+        FIELDS,
+        FORMATS,
+        parse,
+        isValid,
+        matches,
+        describe,
+        mayOverlap
+    };
+});
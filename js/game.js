@@ -1,121 +1,447 @@
 /**
- * MTGDoku Frontend — Magic: The Gathering 3x3 guessing game.
+ * MTGDoku Frontend — Magic: The Gathering grid guessing game.
  *
  * Flow: fetch board (row/column criteria) from GET /api/board, then for each
- * cell the player searches Scryfall and picks a card. A guess is correct if the
- * card matches both the row and column criteria for that cell ("any valid card").
+ * cell the player searches cards (GET /api/cards/search) and picks one. The pick is sent to
+ * POST /api/guess; the server decides whether the card matches both the row and
+ * column criteria for that cell ("any valid card"). How many guesses there are
+ * and when the game ends follow the board's rule set (js/rules.js).
+ * ?room=<code> plays a head-to-head room instead (versus.html, /api/rooms):
+ * moves go to the server and both players follow the room over server-sent events.
  */
 
-// =====================
-// Search helpers
-// =====================
-
-/**
- * Fuzzy match: checks if the letters in `needle` (search input) appear in order
- * in `haystack` (card name). Returns a score (higher = better match), or
- * -Infinity if not a match. Used to rank Scryfall results.
- */
-function fuzzyMatch(needle, haystack) {
-    const haystackLower = haystack.toLowerCase();
-    const needleLower = needle.toLowerCase();
-    let score = 0;
-    let needleIdx = 0;
-
-    for (let haystackIdx = 0; haystackIdx < haystackLower.length; haystackIdx++) {
-        if (needleLower[needleIdx] === haystackLower[haystackIdx]) {
-            score += 1;
-            needleIdx++;
-        } else if (needleIdx > 0) {
-            score -= 0.5; // Penalty for gaps between matching letters
-        }
-
-        if (needleIdx === needleLower.length) {
-            return score + (10 / (haystackIdx + 1)); // Prefer matches that finish earlier
-        }
-    }
-
-    return needleIdx === needleLower.length ? score : -Infinity;
-}
-
 // =====================
 // Game controller
 // =====================
 
 /**
  * Main game state and UI. Fetches board from backend, handles cell clicks,
- * card search (Scryfall), validation (row + column criteria), and win/lose.
+ * card search, server-checked guesses, and win/lose.
  */
 class MTGDokuGame {
     constructor() {
-        // Grid: 9 cells (3 rows × 3 cols). Each has selectedCard, guessCount, solved.
-        this.grid = Array(9).fill(null).map(() => ({
-            targetCard: null,
-            selectedCard: null,
-            guessCount: 0,
-            solved: false
-        }));
+        // Grid: one cell per row × column, row-major; built by buildGrid() once the board is loaded.
+        // Each has selectedCard, guessCount, solved.
+        this.grid = [];
 
         // Filled by init() from GET /api/board (daily puzzle)
         this.rowCriteria = [];
         this.colCriteria = [];
         this.puzzleDate = null; // YYYY-MM-DD from API, for display
+        this.practiceSeed = null; // Seed of the practice board being played (GET /api/practice), or null for a daily puzzle
+        this.practiceSize = 3;    // Rows and columns of the practice board (2–5)
+        this.rules = MTGDokuRules.get(MTGDokuRules.DEFAULT_RULES); // Rule set from the API (daily) or ?rules= (practice)
+        this.puzzleNumber = null; // Sequential puzzle number (#1, #2…) from API, or null
+        this.today = null;      // Server's current puzzle day: { date, number, nextPuzzleAt, serverTime }
+        this.clockOffset = 0;   // Server clock minus this browser's, in ms, for the countdown
+        this.difficulty = null; // { score, label } from API, or null if not rated
+        this.format = null; // { code, name } every answer must be legal in, or null for any card
+        this.backendBase = '';  // Set in init(); prefix for all /api calls
+        this.player = null;     // { id, token } from POST /api/players, kept in localStorage
+        this.room = null;       // Head-to-head room being played: { code, seat, token } from versus.html, or null
+        this.roomState = null;  // Latest public state of that room (GET /api/rooms/:code or its event stream)
+        this.roomEvents = null; // EventSource following the room
+        this.lastMoveShown = 0; // Number of the last room move whose feedback was shown
 
-        this.guessLimit = 6;   // Max guesses per cell before game over
         this.totalSolved = 0;
         this.gameOver = false;
+        this.won = false;
+        this.rarityScore = null;  // From /api/rarity once the game is over; used in the share text
         this.currentCell = null;  // Index of cell whose search modal is open
         this.searchTimeout = null; // For debouncing search input
+        this.countdownTimer = null; // setInterval id for the next-puzzle countdown
 
         this.init();
     }
 
     /**
      * Load board from backend, then bind events and render labels.
-     * If fetch fails (e.g. no server), show a short error message.
-     *
-     * On GitHub Pages, the static frontend is hosted at user.github.io/<repo>,
-     * but the Node/SQLite backend must be hosted elsewhere (e.g. Render/Railway).
-     * BACKEND_BASE switches between local origin (dev) and a configurable
-     * production URL when running under *.github.io.
+     * Without ?date= the server picks today's puzzle. ?practice plays a new
+     * random practice board and ?seed=<seed> a shared one, either with an
+     * optional &size=2–5 and &rules=<rule set>; the URL is then rewritten to
+     * ?seed= so it can be copied. If the server refuses the date
+     * (invalid, not out yet, before the archive) or can't be reached, show a
+     * notice instead of the grid. ?room=<code> opens a head-to-head room
+     * (initRoom). BACKEND_BASE comes from js/config.js.
      */
     async init() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('room')) return this.initRoom(params.get('room').toUpperCase());
         try {
-            const isGitHubPages = window.location.hostname.endsWith('github.io');
-            const BACKEND_BASE = isGitHubPages
-                ? 'https://YOUR-BACKEND-HOST-HERE'   // TODO: replace with your deployed backend URL
-                : window.location.origin;
-            const params = new URLSearchParams(window.location.search);
-            let dateParam = params.get('date');
-            if (!dateParam || !/^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
-                const t = new Date();
-                const y = t.getFullYear(), m = String(t.getMonth() + 1).padStart(2, '0'), d = String(t.getDate()).padStart(2, '0');
-                dateParam = y + '-' + m + '-' + d;
+            this.backendBase = BACKEND_BASE;
+            await this.ensurePlayer();
+            const practice = params.has('practice') || params.has('seed');
+            let url;
+            if (practice) {
+                const query = new URLSearchParams();
+                if (params.get('seed')) query.set('seed', params.get('seed'));
+                if (params.get('size')) query.set('size', params.get('size'));
+                if (params.get('rules')) query.set('rules', params.get('rules'));
+                url = `${BACKEND_BASE}/api/practice${query.toString() ? `?${query}` : ''}`;
+            } else {
+                url = `${BACKEND_BASE}/api/board${params.get('date') ? `?date=${encodeURIComponent(params.get('date'))}` : ''}`;
             }
-            const response = await fetch(`${BACKEND_BASE}/api/board?date=${encodeURIComponent(dateParam)}`);
-            if (!response.ok) throw new Error('Failed to load board');
+            const response = await fetch(url);
             const data = await response.json();
+            if (!response.ok) {
+                this.showBoardNotice(data.error || 'This puzzle could not be loaded.');
+                return;
+            }
+            if (practice) {
+                this.practiceSeed = data.seed;
+                this.practiceSize = data.size;
+                this.rules = MTGDokuRules.get(data.rules);
+                history.replaceState(null, '', `?${this.practiceQuery()}`);
+            }
+            // Every code must parse with the same criteria language the server checks guesses with
+            [...data.rowCriteria, ...data.colCriteria].forEach(c => MTGDokuCriteria.parse(c.code));
             this.rowCriteria = data.rowCriteria;
             this.colCriteria = data.colCriteria;
             this.puzzleDate = data.date || null;
+            this.puzzleNumber = data.number || null;
+            this.today = data.today || null;
+            if (this.today) this.clockOffset = Date.parse(this.today.serverTime) - Date.now();
+            this.difficulty = data.difficulty || null;
+            this.format = data.format || null;
+            if (!practice) this.rules = MTGDokuRules.get(data.rules);
         } catch (err) {
             console.error('Board fetch error:', err);
-            document.body.innerHTML = '<div class="container" style="padding: 40px; text-align: center;"><h1>MTGDoku</h1><p>Could not load game. Is the server running? Run <code>npm start</code> and open <a href="/">http://localhost:3000</a>.</p></div>';
+            this.showBoardNotice('Could not load the game. Is the server running? Run npm start and open http://localhost:3000.');
             return;
         }
 
+        this.buildGrid();
         this.setupEventListeners();
         await this.generateNewGame();
+        this.restoreProgress();
     }
 
-    /** Attach click handlers: New Game, each grid cell, search modal close/search input, Play Again. */
+    /**
+     * Create one cell per row × column and draw the empty grid: a column label
+     * per column, then each row's label followed by its cells. The CSS reads
+     * --grid-cols for the layout; boards wider than 3 get smaller cells.
+     */
+    buildGrid() {
+        const rows = this.rowCriteria.length;
+        const cols = this.colCriteria.length;
+        this.grid = Array(rows * cols).fill(null).map(() => ({
+            targetCard: null,
+            selectedCard: null,
+            pick: null,     // { count, total, percent } from the server once solved
+            guessCount: 0,
+            solved: false,
+            failed: false,  // Ran out of guesses on this cell
+            owner: null,    // Seat ('X' or 'O') that claimed it in a head-to-head room
+            face: 0,        // Which face of a solved double-faced/flip card is shown
+            pending: false  // True while a guess for this cell is being checked
+        }));
+
+        const container = document.getElementById('gridContainer');
+        container.style.setProperty('--grid-cols', cols);
+        container.classList.toggle('grid-container--compact', cols > 3);
+
+        let labels = '<div class="label-spacer"></div>';
+        for (let c = 0; c < cols; c++) labels += `<div class="label" id="colLabel${c + 1}"></div>`;
+        document.getElementById('gridLabels').innerHTML = labels;
+
+        let cells = '';
+        for (let r = 0; r < rows; r++) {
+            cells += `<div class="row-label" id="rowLabel${r + 1}"></div>`;
+            for (let c = 0; c < cols; c++) cells += `<button class="grid-cell" data-row="${r}" data-col="${c}"></button>`;
+        }
+        document.getElementById('gameGrid').innerHTML = cells;
+        document.getElementById('cellTotal').textContent = this.grid.length;
+    }
+
+    /** Hide the grid and explain why there is no board, with links to playable puzzles. */
+    showBoardNotice(message) {
+        const notice = document.getElementById('boardNotice');
+        notice.innerHTML = `
+            <p class="board-notice-message"></p>
+            <p><a href="./" class="btn btn-primary">Play today's puzzle</a>
+            <a href="./daily.html" class="btn btn-secondary">Past puzzles</a></p>
+        `;
+        notice.querySelector('.board-notice-message').textContent = message;
+        notice.classList.remove('hidden');
+        document.querySelector('.game-section').classList.add('hidden');
+    }
+
+    // Head-to-head rooms: ?room=<code>, seat from versus.html, state from the server
+
+    /**
+     * Open a head-to-head room with this tab's seat (saved by versus.html in
+     * sessionStorage), draw its board and start following it. Nothing is saved
+     * in localStorage: the room lives on the server.
+     */
+    async initRoom(code) {
+        this.backendBase = BACKEND_BASE;
+        let seat = null;
+        try {
+            seat = JSON.parse(sessionStorage.getItem(`mtgdoku:room:${code}`));
+        } catch (err) {
+            console.warn('Could not read room seat:', err);
+        }
+        if (!seat || !seat.token) {
+            this.showBoardNotice(`You don't have a seat in room ${code}. Create or join a game from the Versus page.`);
+            return;
+        }
+
+        let state;
+        try {
+            const response = await fetch(`${BACKEND_BASE}/api/rooms/${encodeURIComponent(code)}`);
+            state = await response.json();
+            if (!response.ok) {
+                this.showBoardNotice(state.error || 'This room could not be loaded.');
+                return;
+            }
+        } catch (err) {
+            console.error('Room fetch error:', err);
+            this.showBoardNotice('Could not load the game. Is the server running?');
+            return;
+        }
+
+        this.room = { code: state.code, seat: seat.seat, token: seat.token };
+        this.rowCriteria = state.rowCriteria;
+        this.colCriteria = state.colCriteria;
+        this.buildGrid();
+        this.setupEventListeners();
+        this.updateModeDisplay();
+        this.updateLabels();
+        this.updatePuzzleDateDisplay();
+        this.applyRoomState(state);
+        this.connectRoom();
+    }
+
+    /** Follow the room's event stream; EventSource reconnects on its own after a dropped connection. */
+    connectRoom() {
+        const url = `${this.backendBase}/api/rooms/${encodeURIComponent(this.room.code)}/events?token=${encodeURIComponent(this.room.token)}`;
+        this.roomEvents = new EventSource(url);
+        this.roomEvents.addEventListener('state', (e) => this.applyRoomState(JSON.parse(e.data)));
+        this.roomEvents.addEventListener('error', () => {
+            // CLOSED means the server refused the stream (e.g. the room is gone after a restart)
+            if (this.roomEvents.readyState === EventSource.CLOSED && !this.gameOver) {
+                document.getElementById('versusTurn').textContent = 'Lost the connection to this room.';
+                clearInterval(this.countdownTimer);
+            }
+        });
+    }
+
+    /** True if it's this tab's turn in a game that's on. */
+    isMyTurn() {
+        return !!this.roomState && this.roomState.status === 'playing' && this.roomState.turn === this.room.seat;
+    }
+
+    /** Display name of a seat in the room ("You" for this tab's own). */
+    seatLabel(seat) {
+        if (seat === this.room.seat) return 'You';
+        const info = this.roomState.seats[seat];
+        return info ? info.name : `Player ${seat}`;
+    }
+
+    /**
+     * Draw a room state from the server: newly claimed cells with their
+     * player's mark, feedback for the latest wrong card, the winning line, and
+     * the status line. Ends the game once the room is finished.
+     */
+    applyRoomState(state) {
+        this.roomState = state;
+        this.clockOffset = Date.parse(state.serverTime) - Date.now();
+
+        state.cells.forEach((claimed, i) => {
+            const cell = this.grid[i];
+            if (!claimed.owner || cell.solved) return;  // Claimed cells never change hands
+            cell.solved = true;
+            cell.owner = claimed.owner;
+            cell.selectedCard = claimed.card;
+            this.renderSolvedCell(i);
+        });
+        this.totalSolved = this.grid.filter(cell => cell.solved).length;
+
+        const move = state.lastMove;
+        if (move && move.number > this.lastMoveShown) {
+            this.lastMoveShown = move.number;
+            if (!move.correct && move.cell !== null) this.flashMismatch(move.cell, move);
+        }
+
+        // The turn may have passed (timed out) while the search modal was open
+        if (!this.isMyTurn()) document.getElementById('searchModal').classList.add('hidden');
+
+        this.renderRoomStatus();
+        clearInterval(this.countdownTimer);
+        if (state.status === 'playing') this.countdownTimer = setInterval(() => this.renderRoomStatus(), 1000);
+
+        if (state.status === 'finished' && !this.gameOver) {
+            this.gameOver = true;
+            (state.winLine || []).forEach(i => document.querySelectorAll('.grid-cell')[i].classList.add('grid-cell--winning'));
+            if (this.roomEvents) this.roomEvents.close();
+            this.endRoomGame();
+        }
+    }
+
+    /**
+     * Fill the status bar: who plays X and O, whose turn it is with the
+     * seconds left (server clock), and what happened on the last move.
+     */
+    renderRoomStatus() {
+        const state = this.roomState;
+        const playersEl = document.getElementById('versusPlayers');
+        const turnEl = document.getElementById('versusTurn');
+        const lastEl = document.getElementById('versusLastMove');
+
+        const seatText = seat => {
+            const info = state.seats[seat];
+            if (!info) return `${seat}: waiting…`;
+            const away = info.connected ? '' : ' (disconnected)';
+            return `${seat}: ${this.seatLabel(seat)}${away}`;
+        };
+        playersEl.textContent = `${seatText('X')} · ${seatText('O')}`;
+
+        if (state.status === 'waiting') {
+            const link = new URL(`versus.html?code=${state.code}`, window.location.href);
+            turnEl.textContent = `Waiting for an opponent. Send them the code ${state.code} or ${link}`;
+        } else if (state.status === 'playing') {
+            const left = Math.max(0, Math.ceil((Date.parse(state.turnEndsAt) - (Date.now() + this.clockOffset)) / 1000));
+            const whose = this.isMyTurn() ? 'Your turn' : `${this.seatLabel(state.turn)}'s turn`;
+            turnEl.textContent = `${whose} (${state.turn}) · ${left}s left`;
+        } else {
+            turnEl.textContent = 'Game over';
+        }
+
+        const move = state.lastMove;
+        let last = '';
+        if (move) {
+            const who = this.seatLabel(move.seat);
+            const whose = move.seat === this.room.seat ? 'your' : `${who}'s`;
+            if (move.timedOut) last = `${who} ran out of time.`;
+            else if (move.correct) last = `${who} claimed a cell with ${move.card.name}.`;
+            else last = `${move.card.name} doesn't fit there; ${whose} turn is over.`;
+        }
+        lastEl.textContent = last;
+    }
+
+    /** Game-over modal for a finished room: won, lost, drawn or called off, and how. */
+    endRoomGame() {
+        const state = this.roomState;
+        const mine = state.winner === this.room.seat;
+        let title;
+        let message;
+        if (state.endReason === 'expired') {
+            title = '🚪 Room Closed';
+            message = state.seats.O ? 'This game ran past its time limit.' : 'This room closed before a game started.';
+        } else if (state.endReason === 'idle') {
+            title = '💤 Game Called Off';
+            message = 'Nobody played a card for several turns in a row.';
+        } else if (state.winner === 'draw') {
+            title = '🤝 Draw';
+            message = 'The board filled up without three in a row.';
+        } else if (state.endReason === 'forfeit') {
+            title = mine ? '🎉 You Won!' : '😢 You Lost';
+            message = mine ? `${this.seatLabel(this.opponentSeat())} left the game.` : 'You left the game.';
+        } else {
+            title = mine ? '🎉 You Won!' : '😢 You Lost';
+            message = mine ? 'Three in a row!' : `${this.seatLabel(state.winner)} got three in a row.`;
+        }
+
+        setTimeout(() => {
+            document.getElementById('gameOverTitle').textContent = title;
+            document.getElementById('gameOverMessage').textContent = message;
+            document.getElementById('gameOverRarity').textContent = '';
+            document.getElementById('gameOverModal').classList.remove('hidden');
+        }, 500);
+    }
+
+    /** The seat this tab isn't playing. */
+    opponentSeat() {
+        return this.room.seat === 'X' ? 'O' : 'X';
+    }
+
+    /** POST a card for a cell on this tab's turn; the new state comes back with the response (and over the stream). */
+    async submitMove(cellIndex, card) {
+        let result;
+        try {
+            const response = await fetch(`${this.backendBase}/api/rooms/${encodeURIComponent(this.room.code)}/moves`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.room.token}` },
+                body: JSON.stringify({ cell: cellIndex, cardId: card.id })
+            });
+            result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Move failed');
+        } catch (err) {
+            console.error('Move error:', err);
+            alert(`Could not play that card: ${err.message}`);
+            return;
+        }
+        this.applyRoomState(result.state);
+    }
+
+    /** Give up the room (the opponent wins); the stream then reports the finished game. */
+    async leaveRoom() {
+        if (!this.gameOver && !confirm('Leave this game? Your opponent wins.')) return;
+        try {
+            await fetch(`${this.backendBase}/api/rooms/${encodeURIComponent(this.room.code)}/leave`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${this.room.token}` }
+            });
+        } catch (err) {
+            console.error('Leave error:', err);
+        }
+        sessionStorage.removeItem(`mtgdoku:room:${this.room.code}`);
+        window.location.href = './versus.html';
+    }
+
+    /**
+     * Load this browser's anonymous player from localStorage, or register a new
+     * one with POST /api/players. If that fails the game still works, but
+     * guesses won't count toward stats.
+     */
+    async ensurePlayer() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PLAYER_STORAGE_KEY));
+            if (saved && saved.id && saved.token) {
+                this.player = saved;
+                return;
+            }
+            const response = await fetch(`${this.backendBase}/api/players`, { method: 'POST' });
+            if (!response.ok) throw new Error('Failed to register player');
+            this.player = await response.json();
+            localStorage.setItem(PLAYER_STORAGE_KEY, JSON.stringify(this.player));
+        } catch (err) {
+            console.warn('Playing without a player profile:', err);
+            this.player = null;
+        }
+    }
+
+    /** Authorization header for API calls tied to this player (empty if anonymous). */
+    authHeaders() {
+        return this.player ? { Authorization: `Bearer ${this.player.token}` } : {};
+    }
+
+    /** Attach click handlers: Reset Puzzle, Stats, each grid cell, search modal close/search input, Play Again, Leave, Review Board. */
     setupEventListeners() {
-        // New game button
-        document.getElementById('newGameBtn').addEventListener('click', () => {
-            if (confirm('Start a new game?')) {
-                location.reload();
+        // Reset button: wipe saved progress for this date and start over
+        document.getElementById('resetPuzzleBtn').addEventListener('click', () => {
+            if (confirm('Reset this puzzle? Your progress for this day will be lost.')) {
+                this.resetProgress();
             }
         });
 
+        // Stats button (controls) and View Stats (game-over modal) open the stats modal
+        document.getElementById('statsBtn').addEventListener('click', () => this.openStatsModal());
+        document.getElementById('viewStatsBtn').addEventListener('click', () => {
+            document.getElementById('gameOverModal').classList.add('hidden');
+            this.openStatsModal();
+        });
+
+        const statsModal = document.getElementById('statsModal');
+        statsModal.querySelector('.close').addEventListener('click', () => statsModal.classList.add('hidden'));
+        statsModal.addEventListener('click', (e) => {
+            if (e.target === statsModal) statsModal.classList.add('hidden');
+        });
+        document.getElementById('usernameForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.claimUsername();
+        });
+
         // When a grid cell is clicked, open the search modal
         document.querySelectorAll('.grid-cell').forEach((btn, index) => {
             btn.addEventListener('click', () => this.openSearchModal(index));
@@ -140,49 +466,285 @@ class MTGDokuGame {
             }
         });
 
-        // Play again (reloads page and fetches a new board)
+        // Play again: a new practice board in practice mode, otherwise clear this puzzle's saved progress and reload
         document.getElementById('playAgainBtn').addEventListener('click', () => {
-            location.reload();
+            if (this.room) window.location.href = './versus.html';
+            else if (this.practiceSeed) this.newPracticeBoard(this.practiceSize, this.rules.id);
+            else this.resetProgress();
         });
+
+        document.getElementById('leaveRoomBtn').addEventListener('click', () => this.leaveRoom());
+
+        // Practice: leave the daily puzzle for a random practice board
+        document.getElementById('practiceBtn').addEventListener('click', () => this.newPracticeBoard());
+        document.getElementById('newBoardBtn').addEventListener('click', () => this.newPracticeBoard(this.practiceSize, this.rules.id));
+        document.getElementById('practiceSize').addEventListener('change', (e) => this.newPracticeBoard(Number(e.target.value), this.rules.id));
+        document.getElementById('practiceRules').addEventListener('change', (e) => this.newPracticeBoard(this.practiceSize, e.target.value));
+
+        // Share (spoiler-free result grid)
+        document.getElementById('shareResultBtn').addEventListener('click', () => this.shareResult());
+
+        // Review board (close the game-over modal and look at the finished grid)
+        document.getElementById('reviewBoardBtn').addEventListener('click', () => {
+            document.getElementById('gameOverModal').classList.add('hidden');
+        });
+    }
+
+    // Saved progress: localStorage, one entry per puzzle date (or practice seed)
+
+    /** localStorage key for this puzzle date's (or practice board's, per rule set) saved progress. */
+    progressKey() {
+        if (!this.practiceSeed) return `mtgdoku:progress:${this.puzzleDate}`;
+        const rules = this.rules.id === MTGDokuRules.DEFAULT_RULES ? '' : `:${this.rules.id}`;
+        return `mtgdoku:practice:${this.practiceSeed}${rules}`;
+    }
+
+    /** Save each cell's card, guess count and solved/failed flags, plus game-over state. */
+    saveProgress() {
+        if (!this.puzzleDate && !this.practiceSeed) return;
+        const progress = {
+            cells: this.grid.map(cell => ({
+                selectedCard: cell.selectedCard,
+                pick: cell.pick,
+                guessCount: cell.guessCount,
+                solved: cell.solved,
+                failed: cell.failed
+            })),
+            gameOver: this.gameOver,
+            won: this.won
+        };
+        try {
+            localStorage.setItem(this.progressKey(), JSON.stringify(progress));
+        } catch (err) {
+            console.warn('Could not save progress:', err);  // e.g. storage full or disabled
+        }
+    }
+
+    /** Load saved progress for this date (if any) back into the grid and redraw solved/failed cells. */
+    restoreProgress() {
+        let progress = null;
+        try {
+            progress = JSON.parse(localStorage.getItem(this.progressKey()));
+        } catch (err) {
+            console.warn('Could not read saved progress:', err);
+        }
+        if (!progress || !Array.isArray(progress.cells) || progress.cells.length !== this.grid.length) return;
+
+        progress.cells.forEach((saved, index) => {
+            const cell = this.grid[index];
+            cell.selectedCard = saved.selectedCard || null;
+            cell.pick = saved.pick || null;
+            cell.guessCount = saved.guessCount || 0;
+            cell.solved = !!saved.solved && !!cell.selectedCard;
+            cell.failed = !!saved.failed;
+
+            if (cell.solved) this.renderSolvedCell(index);
+            else if (cell.failed) this.renderFailedCell(index);
+        });
+
+        this.totalSolved = this.grid.filter(cell => cell.solved).length;
+        this.gameOver = !!progress.gameOver;
+        this.won = !!progress.won;
+        this.updateStats();
+    }
+
+    /** Forget this date's saved progress and reload a fresh board. */
+    resetProgress() {
+        try {
+            localStorage.removeItem(this.progressKey());
+        } catch (err) {
+            console.warn('Could not clear saved progress:', err);
+        }
+        location.reload();
+    }
+
+    /**
+     * Open a new random practice board, `size` rows by `size` columns (3 when
+     * not given), played under the rule set `ruleId` (classic when not given).
+     */
+    newPracticeBoard(size = 3, ruleId = MTGDokuRules.DEFAULT_RULES) {
+        const sizeParam = size === 3 ? '' : `&size=${size}`;
+        const rulesParam = ruleId === MTGDokuRules.DEFAULT_RULES ? '' : `&rules=${encodeURIComponent(ruleId)}`;
+        window.location.href = `./?practice${sizeParam}${rulesParam}`;
+    }
+
+    /**
+     * Query string that reopens this practice board: "seed=<seed>", plus
+     * "&size=N" unless 3×3 and "&rules=<id>" unless classic.
+     */
+    practiceQuery() {
+        let query = `seed=${encodeURIComponent(this.practiceSeed)}`;
+        if (this.practiceSize !== 3) query += `&size=${this.practiceSize}`;
+        if (this.rules.id !== MTGDokuRules.DEFAULT_RULES) query += `&rules=${encodeURIComponent(this.rules.id)}`;
+        return query;
     }
 
     /** Apply current row/column criteria and puzzle date to the UI. */
     async generateNewGame() {
+        this.updateModeDisplay();
         this.updateLabels();
         this.updatePuzzleDateDisplay();
+        this.updateDifficultyDisplay();
+        this.updateFormatDisplay();
+        this.updateStats();
+        this.startCountdown();
     }
 
-    /** Show "Daily Puzzle · Month DD, YYYY" in the header (from this.puzzleDate). */
+    /** this.puzzleDate as "Month DD, YYYY". */
+    formatPuzzleDate() {
+        const [y, m, d] = this.puzzleDate.split('-');
+        const date = new Date(parseInt(y, 10), parseInt(m, 10) - 1, parseInt(d, 10));
+        return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    }
+
+    /** The board's size, e.g. "4×4". */
+    sizeLabel() {
+        return `${this.rowCriteria.length}×${this.colCriteria.length}`;
+    }
+
+    /** "#42 " for numbered puzzles, "" otherwise. */
+    numberLabel() {
+        return this.puzzleNumber ? `#${this.puzzleNumber} ` : '';
+    }
+
+    /**
+     * Switch the page between daily and practice mode: the nav highlights
+     * Today or Practice, and practice boards get a "New Board" button and
+     * size and rule-set pickers while the daily puzzle offers practice once
+     * it's over. The stats bar names the active rule set either way. A
+     * head-to-head room swaps the stats bar and the daily/practice controls
+     * for the room's status line and a Leave button.
+     */
+    updateModeDisplay() {
+        const practice = !!this.practiceSeed;
+        const room = !!this.room;
+        document.getElementById('todayNavLink').classList.toggle('header-nav-link--active', !practice && !room);
+        document.getElementById('practiceNavLink').classList.toggle('header-nav-link--active', practice);
+        document.getElementById('versusNavLink').classList.toggle('header-nav-link--active', room);
+        document.getElementById('resetPuzzleBtn').classList.toggle('hidden', room);
+        document.getElementById('statsBtn').classList.toggle('hidden', room);
+        document.getElementById('leaveRoomBtn').classList.toggle('hidden', !room);
+        document.getElementById('gameStats').classList.toggle('hidden', room);
+        document.getElementById('versusStatus').classList.toggle('hidden', !room);
+        ['shareResultBtn', 'viewStatsBtn'].forEach(id => document.getElementById(id).classList.toggle('hidden', room));
+        document.getElementById('newBoardBtn').classList.toggle('hidden', !practice);
+        document.getElementById('practiceSize').classList.toggle('hidden', !practice);
+        document.getElementById('practiceSize').value = String(this.practiceSize);
+
+        const rulesSelect = document.getElementById('practiceRules');
+        rulesSelect.innerHTML = Object.values(MTGDokuRules.RULE_SETS)
+            .map(r => `<option value="${r.id}">${r.name}</option>`).join('');
+        rulesSelect.value = this.rules.id;
+        rulesSelect.classList.toggle('hidden', !practice);
+
+        const rulesEl = document.getElementById('rulesName');
+        rulesEl.textContent = this.rules.name;
+        rulesEl.parentElement.title = this.rules.summary;
+        document.getElementById('practiceBtn').classList.toggle('hidden', practice || room);
+        document.getElementById('playAgainBtn').textContent = room ? 'New Game' : practice ? 'New Board' : 'Play Again';
+    }
+
+    /** Show "Daily Puzzle #42 · Month DD, YYYY" (or "Practice · Board <seed>", or "Versus · Room <code>") in the header. */
     updatePuzzleDateDisplay() {
         const el = document.getElementById('puzzleDate');
+        if (el && this.room) {
+            el.textContent = `Versus · Room ${this.room.code}`;
+            return;
+        }
+        if (el && this.practiceSeed) {
+            el.textContent = `Practice · ${this.sizeLabel()} · Board ${this.practiceSeed}`;
+            return;
+        }
         if (!el || !this.puzzleDate) {
             if (el) el.textContent = '';
             return;
         }
-        const [y, m, d] = this.puzzleDate.split('-');
-        const date = new Date(parseInt(y, 10), parseInt(m, 10) - 1, parseInt(d, 10));
-        const formatted = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-        el.textContent = `Daily Puzzle · ${formatted}`;
+        el.textContent = `Daily Puzzle ${this.numberLabel()}· ${this.formatPuzzleDate()}`;
     }
 
-    /** Write row and column criterion names into the grid label elements. */
-    updateLabels() {
-        for (let i = 0; i < 3; i++) {
-            document.getElementById(`colLabel${i + 1}`).textContent = this.colCriteria[i].name;
-        }
-        for (let i = 0; i < 3; i++) {
-            document.getElementById(`rowLabel${i + 1}`).textContent = this.rowCriteria[i].name;
+    /**
+     * Tick "Next puzzle in 4:12:09" under the date once a second, using the
+     * server's clock (this.clockOffset). On a past puzzle it also links to the
+     * current one; once the next puzzle is out it links to that instead.
+     */
+    startCountdown() {
+        const el = document.getElementById('puzzleCountdown');
+        if (!el || !this.today) return;
+        const nextAt = Date.parse(this.today.nextPuzzleAt);
+        const isCurrent = this.puzzleDate === this.today.date;
+        const todayNumber = this.today.number ? ` #${this.today.number}` : '';
+        el.classList.remove('hidden');
+        el.innerHTML = (isCurrent ? '' : `<a href="./">Play today's puzzle${todayNumber}</a> · `) + '<span></span>';
+        const textEl = el.querySelector('span');
+
+        const tick = () => {
+            const left = Math.max(0, Math.ceil((nextAt - (Date.now() + this.clockOffset)) / 1000));
+            if (left > 0) {
+                const h = Math.floor(left / 3600);
+                const m = String(Math.floor((left % 3600) / 60)).padStart(2, '0');
+                const sec = String(left % 60).padStart(2, '0');
+                textEl.textContent = `Next puzzle in ${h}:${m}:${sec}`;
+                return;
+            }
+            clearInterval(this.countdownTimer);
+            el.innerHTML = '<a href="./">A new puzzle is out — play it</a>';
+        };
+        this.countdownTimer = setInterval(tick, 1000);
+        tick();
+    }
+
+    /** Show the puzzle's difficulty badge (e.g. "Hard · 68") next to the date, if rated. */
+    updateDifficultyDisplay() {
+        const el = document.getElementById('puzzleDifficulty');
+        if (!el) return;
+        if (!this.difficulty) {
+            el.classList.add('hidden');
+            return;
         }
+        el.textContent = `${this.difficulty.label} · ${this.difficulty.score}`;
+        el.className = `puzzle-difficulty puzzle-difficulty--${this.difficulty.label.toLowerCase()}`;
+        el.title = 'Difficulty (0–100), based on how many well-known cards fit each cell';
+    }
+
+    /** Show "Modern only" in the header when answers must be legal in a format. */
+    updateFormatDisplay() {
+        const el = document.getElementById('puzzleFormat');
+        if (!el) return;
+        el.classList.toggle('hidden', !this.format);
+        if (!this.format) return;
+        el.textContent = `${this.format.name} only`;
+        el.title = `Every answer must be legal in ${this.format.name}`;
+    }
+
+    /** Write row and column criterion names into the grid label elements (hover shows the rule). */
+    updateLabels() {
+        this.colCriteria.forEach((criterion, i) => {
+            const el = document.getElementById(`colLabel${i + 1}`);
+            el.textContent = criterion.name;
+            el.title = MTGDokuCriteria.describe(criterion.code);
+        });
+        this.rowCriteria.forEach((criterion, i) => {
+            const el = document.getElementById(`rowLabel${i + 1}`);
+            el.textContent = criterion.name;
+            el.title = MTGDokuCriteria.describe(criterion.code);
+        });
     }
 
-    /** Open the card-search modal for the given cell (if not already solved). */
+    /** Open the card-search modal for the given cell (if not already solved, and in a room only on your turn). */
     openSearchModal(cellIndex) {
         const cell = this.grid[cellIndex];
 
-        // If the cell is already solved, don't let them change it
+        // Clicking a solved double-faced or flip card turns it over
         if (cell.solved) {
+            if (this.faceCount(cell.selectedCard) > 1) this.flipCell(cellIndex);
+            return;
+        }
+
+        // If the game is over, don't let them change anything
+        if (this.gameOver) {
             return;
         }
+        if (this.room && !this.isMyTurn()) return;
 
         this.currentCell = cellIndex;
         const modal = document.getElementById('searchModal');
@@ -195,8 +757,8 @@ class MTGDokuGame {
     }
 
     /**
-     * Debounced search: wait 300ms after last keystroke before calling Scryfall,
-     * to avoid spamming the API while the user is still typing.
+     * Debounced search: wait 300ms after last keystroke before calling the
+     * search API, to avoid spamming the server while the user is still typing.
      */
     async handleSearch(event) {
         const query = event.target.value.trim();
@@ -210,42 +772,41 @@ class MTGDokuGame {
         this.searchTimeout = setTimeout(() => this.performSearch(query), 300);
     }
 
-    /** Call Scryfall search API and show up to 10 results, sorted by fuzzy match score. */
+    /**
+     * Call GET /api/cards/search and show the first 10 results. The server does
+     * the ranking (prefix, typos, accents), so results are shown in its order.
+     */
     async performSearch(query) {
         try {
-            // Ask Scryfall for cards with this name
-            const response = await fetch(`https://api.scryfall.com/cards/search?q="${query}" unique:cards&order=released`);
-
-            if (!response.ok) {
-                if (response.status === 404) {
-                    document.getElementById('searchResults').innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-light);">No cards found</div>';
-                } else {
-                    throw new Error('API error');
-                }
-                return;
-            }
+            const response = await fetch(`${this.backendBase}/api/cards/search?q=${encodeURIComponent(query)}&pageSize=10`);
+            if (!response.ok) throw new Error('API error');
 
             const data = await response.json();
-            const cards = data.data || [];
-
-            // Sort the results so the best matches appear first
-            const scored = cards.map(card => ({
-                card,
-                score: fuzzyMatch(query, card.name)
-            }))
-                .filter(item => item.score > -Infinity)
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 10)
-                .map(item => item.card);
-
-            this.displaySearchResults(scored);
+
+            // Ignore responses for a query the user has already typed past
+            if (document.getElementById('cardSearchInput').value.trim() !== query) return;
+
+            this.displaySearchResults(data.cards || []);
         } catch (error) {
             console.error('Error searching cards:', error);
             document.getElementById('searchResults').innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-light);">Error fetching cards</div>';
         }
     }
 
-    /** Render the list of cards in the search modal; clicking one calls selectCard(card). */
+    /**
+     * True if, under the no-repeats rules, `card` already answers a cell other
+     * than `cellIndex`; in a room, if either player has played it this game.
+     */
+    isCardUsed(card, cellIndex) {
+        if (this.room) return this.roomState.usedCards.includes(card.oracleId);
+        return this.rules.uniqueCards && this.grid.some((cell, i) =>
+            i !== cellIndex && cell.solved && cell.selectedCard && cell.selectedCard.oracleId === card.oracleId);
+    }
+
+    /**
+     * Render the list of cards in the search modal; clicking one calls selectCard(card).
+     * Cards already used elsewhere under the no-repeats rules (or played in this room) are shown but can't be picked.
+     */
     displaySearchResults(cards) {
         const resultsContainer = document.getElementById('searchResults');
         resultsContainer.innerHTML = '';
@@ -260,7 +821,7 @@ class MTGDokuGame {
             resultItem.className = 'search-result-item';
 
             const img = document.createElement('img');
-            img.src = card.image_uris?.small || 'https://via.placeholder.com/50x75';
+            img.src = card.thumbUrl || 'https://via.placeholder.com/50x75';
             img.alt = card.name;
             img.className = 'search-result-image';
 
@@ -273,7 +834,7 @@ class MTGDokuGame {
 
             const type = document.createElement('div');
             type.className = 'search-result-type';
-            type.textContent = card.type_line;
+            type.textContent = card.firstYear ? `${card.type} · First printed ${card.firstYear}` : card.type;
 
             info.appendChild(name);
             info.appendChild(type);
@@ -281,6 +842,13 @@ class MTGDokuGame {
             resultItem.appendChild(img);
             resultItem.appendChild(info);
 
+            if (this.isCardUsed(card, this.currentCell)) {
+                resultItem.classList.add('search-result-item--used');
+                type.textContent = this.room ? 'Already played this game' : 'Already used in another cell';
+                resultsContainer.appendChild(resultItem);
+                return;
+            }
+
             // When a card is clicked, select it
             resultItem.addEventListener('click', () => {
                 this.selectCard(card);
@@ -291,174 +859,213 @@ class MTGDokuGame {
     }
 
     /**
-     * User picked a card from search results. Store it on the cell, increment
-     * guess count, validate against row/column criteria, then close modal.
+     * User picked a card from search results. Increment the cell's guess count,
+     * close the modal and send the guess to the server for checking (in a room,
+     * play it as this turn's move instead).
      */
-    selectCard(card) {
+    async selectCard(card) {
         const cellIndex = this.currentCell;
         const cell = this.grid[cellIndex];
 
-        if (cell.solved) return;
-
-        // Normalize to the shape checkSingleCriteria expects (colors, type, cmc, released_at)
-        cell.selectedCard = {
-            name: card.name,
-            imageUrl: card.image_uris?.normal || card.image_uris?.small || null,
-            type: card.type_line,
-            manaCost: card.mana_cost || 'N/A',
-            colors: card.colors || [],
-            cmc: card.cmc,
-            released_at: card.released_at,
-            id: card.id
-        };
+        if (this.gameOver || cell.solved || cell.pending || this.isCardUsed(card, cellIndex)) return;
 
-        cell.guessCount++;
-        this.submitGuess(cellIndex);
+        if (!this.room) cell.guessCount++;
+        cell.pending = true;
 
         // Close modal
         document.getElementById('searchModal').classList.add('hidden');
+
+        try {
+            if (this.room) await this.submitMove(cellIndex, card);
+            else await this.submitGuess(cellIndex, card);
+        } finally {
+            cell.pending = false;
+        }
     }
 
     /**
-     * Validate the current cell's selectedCard against this cell's row and column
-     * criteria. If valid → mark cell solved and maybe win; if invalid → wrong-guess
-     * feedback or game over if guess limit reached.
+     * POST the guess to /api/guess and apply the server's verdict. If valid →
+     * mark cell solved and maybe win; if invalid → wrong-guess feedback or game
+     * over if guess limit reached. A failed request doesn't cost a guess.
      */
-    submitGuess(cellIndex) {
+    async submitGuess(cellIndex, card) {
         const cell = this.grid[cellIndex];
-        const rowIndex = Math.floor(cellIndex / 3);
-        const colIndex = cellIndex % 3;
-        const rowCrit = this.rowCriteria[rowIndex];
-        const colCrit = this.colCriteria[colIndex];
 
-        const validation = this.validateCard(cell.selectedCard, rowCrit, colCrit);
+        let result;
+        try {
+            const response = await fetch(`${this.backendBase}/api/guess`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify(this.practiceSeed
+                    ? { seed: this.practiceSeed, size: this.practiceSize, cell: cellIndex, cardId: card.id }
+                    : { date: this.puzzleDate, cell: cellIndex, cardId: card.id })
+            });
+            result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Guess failed');
+        } catch (err) {
+            console.error('Guess error:', err);
+            cell.guessCount--;
+            alert(`Could not check that card: ${err.message}`);
+            return;
+        }
 
-        if (validation.isValid) {
+        cell.selectedCard = result.card;
+        cell.pick = result.pick || null;
+
+        if (result.correct) {
             this.handleCorrectGuess(cellIndex, cell);
         } else {
-            this.handleIncorrectGuess(cellIndex, cell, rowIndex, colIndex, validation);
+            this.handleIncorrectGuess(cellIndex, cell, result);
         }
 
         this.updateStats();
-    }
-
-    /** Returns { isValid, rowMatch, colMatch } for the card vs row/column criteria. */
-    validateCard(card, rowCrit, colCrit) {
-        const rowMatch = this.checkSingleCriteria(card, rowCrit);
-        const colMatch = this.checkSingleCriteria(card, colCrit);
-
-        return { isValid: rowMatch && colMatch, rowMatch, colMatch };
+        this.saveProgress();
     }
 
     /**
-     * Returns true if the card satisfies one criterion. Interprets criterion.code:
-     * c:X (color), type:X (type line), mv... (CMC), year... (released_at year).
+     * Mark cell as solved and draw it. If every cell is solved, win; in survival
+     * the last open cell can also end the game with some cells failed.
      */
-    checkSingleCriteria(card, criteria) {
-        if (!criteria || !criteria.code) return true;
-        const code = criteria.code;
-
-        // Color: card must be at least this color (e.g. c:u = blue)
-        if (code.startsWith('c:')) {
-            const color = code.split(':')[1].toUpperCase();
-            const cardColors = (card.colors || []).map(c => c.toUpperCase());
-            return cardColors.includes(color);
-        }
-
-        // Type: card's type_line must contain this (e.g. type:creature)
-        if (code.startsWith('type:')) {
-            const type = code.split(':')[1].toLowerCase();
-            return card.type.toLowerCase().includes(type);
-        }
-
-        // Mana value: compare card.cmc to the number in the code (<=, >=, =, etc.)
-        if (code.startsWith('mv')) {
-            const val = parseInt(code.match(/\d+/)[0]);
-            const cardMVC = card.cmc !== undefined ? card.cmc : 0;
-            if (code.includes('<=')) return cardMVC <= val;
-            if (code.includes('>=')) return cardMVC >= val;
-            if (code.includes('<')) return cardMVC < val;
-            if (code.includes('>')) return cardMVC > val;
-            return cardMVC === val;
-        }
-
-        // Release year: card.released_at is "YYYY-MM-DD"; code can be "year<2000" or "year>=2010 year<=2019"
-        if (code.startsWith('year')) {
-            const cardYear = card.released_at ? parseInt(card.released_at.split('-')[0]) : 0;
-            const parts = code.split(' ');
-            return parts.every(part => {
-                const val = parseInt(part.match(/\d+/)[0]);
-                if (part.includes('<=')) return cardYear <= val;
-                if (part.includes('>=')) return cardYear >= val;
-                if (part.includes('<')) return cardYear < val;
-                if (part.includes('>')) return cardYear > val;
-                return cardYear === val;
-            });
-        }
-
-        return true;
-    }
-
-    /** Mark cell as solved, show card image and name, disable cell. If 9/9 solved, win. */
     handleCorrectGuess(cellIndex, cell) {
         if (!cell.solved) {
             cell.solved = true;
             this.totalSolved++;
         }
 
+        this.renderSolvedCell(cellIndex);
+
+        const state = this.evaluateRules();
+        if (state.finished) {
+            this.gameOver = true;
+            this.won = state.won;
+            if (this.won) this.winGame();
+            else this.loseGame();
+        }
+    }
+
+    /**
+     * How many faces a card can show in a cell: transform and modal DFCs have an
+     * image per face; flip cards (Kamigawa) have one image shown upside down for
+     * the other half. Split and adventure cards show both halves on one face.
+     */
+    faceCount(card) {
+        const images = card.images || [];
+        if (images.length > 1) return images.length;
+        return card.layout === 'flip' ? 2 : 1;
+    }
+
+    /**
+     * Draw a solved cell: card image, name, how many players picked the same card.
+     * Double-faced and flip cards stay clickable to turn them over; others are disabled.
+     * In a room the cell is coloured for the player who claimed it and shows their mark instead of ✓.
+     */
+    renderSolvedCell(cellIndex) {
+        const cell = this.grid[cellIndex];
+        const card = cell.selectedCard;
         const gridCellBtn = document.querySelectorAll('.grid-cell')[cellIndex];
+        const flippable = this.faceCount(card) > 1;
         gridCellBtn.classList.add('solved');
-        gridCellBtn.disabled = true;
+        if (cell.owner) gridCellBtn.classList.add(`grid-cell--${cell.owner.toLowerCase()}`);
+        gridCellBtn.classList.toggle('grid-cell--flippable', flippable);
+        gridCellBtn.disabled = !flippable;
+        gridCellBtn.title = flippable ? 'Click to flip' : '';
+
+        const images = card.images || [];
+        const image = images[cell.face] || images[0];
+        const imageUrl = image ? (image.normal || image.small) : card.imageUrl;
+        const rotated = card.layout === 'flip' && cell.face === 1;
+        const faces = card.faces || [];
+        const name = flippable && faces[cell.face] ? faces[cell.face].name : card.name;
+        // What year criteria check: the card's first printing, not this printing.
+        const firstYear = (card.firstReleasedAt || card.released_at || '').slice(0, 4);
 
         gridCellBtn.innerHTML = `
-            <img src="${cell.selectedCard.imageUrl}" alt="${cell.selectedCard.name}" class="grid-cell-image">
-            <div class="grid-cell-name">${cell.selectedCard.name}</div>
-            <div class="grid-cell-status">✓</div>
+            <img src="${imageUrl}" alt="${name}" class="grid-cell-image${rotated ? ' grid-cell-image--rotated' : ''}">
+            <div class="grid-cell-name">${name}</div>
+            ${firstYear ? `<div class="grid-cell-year">First printed ${firstYear}</div>` : ''}
+            ${cell.pick ? `<div class="grid-cell-pick">${this.formatPercent(cell.pick.percent)} of players picked this</div>` : ''}
+            ${flippable ? '<div class="grid-cell-flip">↻ Flip</div>' : ''}
+            <div class="grid-cell-status">${cell.owner || '✓'}</div>
         `;
+    }
 
-        if (this.totalSolved === 9) this.winGame();
+    /** Show the next face of a solved double-faced or flip card. */
+    flipCell(cellIndex) {
+        const cell = this.grid[cellIndex];
+        cell.face = (cell.face + 1) % this.faceCount(cell.selectedCard);
+        this.renderSolvedCell(cellIndex);
+    }
+
+    /** Draw a cell that ran out of guesses: error state, ✗, disabled. */
+    renderFailedCell(cellIndex) {
+        const gridCellBtn = document.querySelectorAll('.grid-cell')[cellIndex];
+        gridCellBtn.classList.add('error');
+        gridCellBtn.disabled = true;
+
+        const status = document.createElement('div');
+        status.className = 'grid-cell-status';
+        status.textContent = '✗';
+        gridCellBtn.appendChild(status);
     }
 
     /**
-     * Wrong guess: if guess limit reached for this cell → disable cell and trigger
-     * game over; otherwise show brief error state and flash/shake the row/column
-     * label that didn't match.
+     * Wrong guess: if the cell is out of guesses → disable it; otherwise show a
+     * brief error state and flash/shake the label that didn't match
+     * (flashMismatch). Then, if the rule set says the game
+     * is over (a failed cell, an empty pool, or no open cells in survival), lose.
      */
-    handleIncorrectGuess(cellIndex, cell, rowIndex, colIndex, validation) {
-        const gridCellBtn = document.querySelectorAll('.grid-cell')[cellIndex];
+    handleIncorrectGuess(cellIndex, cell, validation) {
+        const state = this.evaluateRules();
 
-        if (cell.guessCount >= this.guessLimit) {
-            gridCellBtn.classList.add('error');
-            gridCellBtn.disabled = true;
-            
-            const status = document.createElement('div');
-            status.className = 'grid-cell-status';
-            status.textContent = '✗';
-            gridCellBtn.appendChild(status);
+        if (state.failed[cellIndex]) {
+            cell.failed = true;
+            this.renderFailedCell(cellIndex);
+        } else {
+            this.flashMismatch(cellIndex, validation);
+        }
 
+        if (state.finished) {
             this.gameOver = true;
             this.loseGame();
-        } else {
-            gridCellBtn.classList.add('error');
+        }
+    }
 
-            const rowEl = document.getElementById(`rowLabel${rowIndex + 1}`);
-            const colEl = document.getElementById(`colLabel${colIndex + 1}`);
+    /**
+     * Brief wrong-card feedback on a cell: error state, and flash/shake the row,
+     * column or format label the card didn't match (rowMatch/colMatch/formatMatch).
+     */
+    flashMismatch(cellIndex, validation) {
+        const gridCellBtn = document.querySelectorAll('.grid-cell')[cellIndex];
+        const rowIndex = Math.floor(cellIndex / this.colCriteria.length);
+        const colIndex = cellIndex % this.colCriteria.length;
+        gridCellBtn.classList.add('error');
 
-            if (!validation.rowMatch && rowEl) {
-                rowEl.classList.add('flash');
-                setTimeout(() => rowEl.classList.remove('flash'), 700);
-            }
+        const rowEl = document.getElementById(`rowLabel${rowIndex + 1}`);
+        const colEl = document.getElementById(`colLabel${colIndex + 1}`);
 
-            if (!validation.colMatch && colEl) {
-                colEl.classList.add('shake');
-                setTimeout(() => colEl.classList.remove('shake'), 600);
-            }
+        if (!validation.rowMatch && rowEl) {
+            rowEl.classList.add('flash');
+            setTimeout(() => rowEl.classList.remove('flash'), 700);
+        }
 
-            setTimeout(() => gridCellBtn.classList.remove('error'), 700);
+        if (!validation.colMatch && colEl) {
+            colEl.classList.add('shake');
+            setTimeout(() => colEl.classList.remove('shake'), 600);
         }
+
+        const formatEl = document.getElementById('puzzleFormat');
+        if (validation.formatMatch === false && formatEl) {
+            formatEl.classList.add('shake');
+            setTimeout(() => formatEl.classList.remove('shake'), 600);
+        }
+
+        setTimeout(() => gridCellBtn.classList.remove('error'), 700);
     }
 
-    /** Refresh the stats display: total guesses and number of solved cells. */
+    /**
+     * Refresh the stats display: total guesses (out of the shared pool, or
+     * with the per-cell allowance) and number of solved cells.
+     */
     updateStats() {
         let totalGuesses = 0;
         for (let cell of this.grid) {
@@ -467,34 +1074,237 @@ class MTGDokuGame {
             }
         }
 
+        const pool = MTGDokuRules.guessPool(this.rules, this.grid.length);
         document.getElementById('guessCount').textContent = totalGuesses;
+        document.getElementById('guessLimit').textContent = pool !== null ? `/${pool}` : ` (${this.rules.guessesPerCell} per cell)`;
         document.getElementById('solvedCount').textContent = this.totalSolved;
     }
 
-    /** Show win modal with total guesses. */
+    /** Where the game stands under this board's rule set (MTGDokuRules.evaluate). */
+    evaluateRules() {
+        return MTGDokuRules.evaluate(this.rules, this.grid.map(cell => ({ guesses: cell.guessCount, solved: cell.solved })));
+    }
+
+    /** Show win modal with total guesses (and what the rule set adds: guesses to spare, no repeats). */
     winGame() {
         setTimeout(() => {
             const modal = document.getElementById('gameOverModal');
+            const pool = MTGDokuRules.guessPool(this.rules, this.grid.length);
+            let extra = '';
+            if (pool !== null) extra = ` That leaves ${pool - this.getTotalGuesses()} of the ${pool} in the pool to spare.`;
+            else if (this.rules.uniqueCards) extra = ' No card was used twice.';
             document.getElementById('gameOverTitle').textContent = '🎉 You Won!';
             document.getElementById('gameOverMessage').textContent =
-                `Congratulations! You solved all 9 cards with ${this.getTotalGuesses()} total guesses.`;
+                `Congratulations! You solved all ${this.grid.length} cards with ${this.getTotalGuesses()} total guesses.${extra}`;
+            this.showRarityScore();
 
             modal.classList.remove('hidden');
         }, 500);
     }
 
-    /** Show game over modal (any-valid-card message: no "correct" card list). */
+    /**
+     * Show game over modal (any-valid-card message: no "correct" card list),
+     * saying how the rule set ended it: a failed cell, an empty pool, or, in
+     * survival, every cell done with some out of guesses.
+     */
     loseGame() {
         setTimeout(() => {
             const modal = document.getElementById('gameOverModal');
-            document.getElementById('gameOverTitle').textContent = '😢 Game Over';
-            document.getElementById('gameOverMessage').textContent =
-                'You ran out of guesses on a cell. Any card that matched both the row and column criteria would have been correct—try again!';
+            const hint = 'Any card that matched both the row and column criteria would have been correct—try again!';
+            let title = '😢 Game Over';
+            let message = `You ran out of guesses on a cell. ${hint}`;
+            if (this.rules.sharedPool) {
+                message = `The guess pool is empty, with ${this.totalSolved} of ${this.grid.length} cells solved. ${hint}`;
+            } else if (this.rules.survival) {
+                const failed = this.grid.filter(cell => cell.failed).length;
+                title = '🏁 Survival Over';
+                message = `You solved ${this.totalSolved} of ${this.grid.length} cells; ${failed} ran out of guesses. ${hint}`;
+            }
+            document.getElementById('gameOverTitle').textContent = title;
+            document.getElementById('gameOverMessage').textContent = message;
+            this.showRarityScore();
 
             modal.classList.remove('hidden');
         }, 500);
     }
 
+    /**
+     * Fetch up-to-date pick percentages for this player's answers and show the
+     * total rarity score in the game-over modal (sum of percentages, unsolved
+     * cells count 100; lower = more creative picks). Practice answers aren't
+     * recorded, so practice boards have no rarity score.
+     */
+    async showRarityScore() {
+        const el = document.getElementById('gameOverRarity');
+        if (!el) return;
+        el.textContent = '';
+        if (this.practiceSeed) return;
+
+        const picks = this.grid.map(cell => (cell.solved && cell.selectedCard ? cell.selectedCard.oracleId : '')).join(',');
+        try {
+            const response = await fetch(`${this.backendBase}/api/rarity?date=${encodeURIComponent(this.puzzleDate)}&picks=${encodeURIComponent(picks)}`);
+            if (!response.ok) throw new Error('Failed to load rarity');
+            const data = await response.json();
+            this.rarityScore = data.score;
+            el.textContent = `Rarity score: ${data.score} (lower is rarer)`;
+        } catch (err) {
+            console.error('Rarity error:', err);
+        }
+    }
+
+    // Sharing: Wordle-style result text, never card names
+
+    /**
+     * Build the share text: puzzle number and date, result line (naming the rule
+     * set unless classic), an emoji grid with each cell's guess count, and a
+     * link to this day's puzzle (or this practice board).
+     * 🟩 solved, 🟥 out of guesses, 🟨 guessed but unsolved, ⬜ untouched.
+     */
+    buildShareText() {
+        const cols = this.colCriteria.length;
+        const rows = this.rowCriteria.map((_, r) =>
+            this.grid.slice(r * cols, r * cols + cols).map(cell => {
+                if (cell.solved) return `🟩${cell.guessCount}`;
+                if (cell.failed) return `🟥${cell.guessCount}`;
+                return cell.guessCount ? `🟨${cell.guessCount}` : '⬜0';
+            }).join(' ')
+        );
+        const result = `Solved ${this.totalSolved}/${this.grid.length}`;
+        const rarity = this.rarityScore != null ? ` · Rarity ${this.rarityScore}` : '';
+        const rules = this.rules.id === MTGDokuRules.DEFAULT_RULES ? '' : ` · ${this.rules.name}`;
+        const query = this.practiceSeed ? this.practiceQuery() : `date=${encodeURIComponent(this.puzzleDate)}`;
+        const link = `${window.location.origin}${window.location.pathname}?${query}`;
+
+        return [
+            this.practiceSeed ? `MTGDoku Practice · ${this.sizeLabel()} · Board ${this.practiceSeed}` : `MTGDoku ${this.numberLabel()}· ${this.formatPuzzleDate()}`,
+            `${result} · ${this.getTotalGuesses()} guesses${rarity}${rules}`,
+            '',
+            ...rows,
+            '',
+            link
+        ].join('\n');
+    }
+
+    /**
+     * Share the result with the Web Share API where available (mostly mobile),
+     * otherwise copy it to the clipboard and confirm on the button.
+     */
+    async shareResult() {
+        const text = this.buildShareText();
+        const btn = document.getElementById('shareResultBtn');
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ text });
+                return;
+            } catch (err) {
+                if (err.name === 'AbortError') return;  // Player closed the share sheet
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(text);
+            btn.textContent = 'Copied!';
+            setTimeout(() => { btn.textContent = 'Share'; }, 2000);
+        } catch (err) {
+            // No clipboard access (e.g. insecure origin): let the player copy it by hand
+            window.prompt('Copy your result:', text);
+        }
+    }
+
+    // Stats modal: lifetime stats from GET /api/players/me/stats
+
+    /** Show the stats modal and fill it from the server. */
+    async openStatsModal() {
+        const modal = document.getElementById('statsModal');
+        const content = document.getElementById('statsContent');
+        modal.classList.remove('hidden');
+
+        if (!this.player) {
+            content.innerHTML = '<p class="stats-empty">Stats are unavailable right now.</p>';
+            return;
+        }
+
+        content.innerHTML = '<p class="stats-empty">Loading…</p>';
+        try {
+            const response = await fetch(`${this.backendBase}/api/players/me/stats`, { headers: this.authHeaders() });
+            if (!response.ok) throw new Error('Failed to load stats');
+            this.renderStats(await response.json());
+        } catch (err) {
+            console.error('Stats error:', err);
+            content.innerHTML = '<p class="stats-empty">Could not load stats.</p>';
+        }
+    }
+
+    /** Draw summary numbers, the guess histogram and per-category success rates. */
+    renderStats(stats) {
+        document.getElementById('usernameInput').value = stats.username || '';
+        document.getElementById('usernameMessage').textContent = '';
+
+        const summary = [
+            ['Played', stats.gamesPlayed],
+            ['Win %', stats.winPercent],
+            ['Current streak', stats.currentStreak],
+            ['Max streak', stats.maxStreak],
+            ['Avg guesses', stats.averageGuesses ?? '–']
+        ].map(([label, value]) => `
+            <div class="stats-summary-item">
+                <div class="stats-summary-value">${value}</div>
+                <div class="stats-summary-label">${label}</div>
+            </div>`).join('');
+
+        const maxCount = Math.max(1, stats.losses, ...stats.guessDistribution.map(b => b.count));
+        const bar = (label, count, extraClass = '') => `
+            <div class="stats-bar-row">
+                <span class="stats-bar-label">${label}</span>
+                <span class="stats-bar ${extraClass}" style="width: ${Math.max(8, (count / maxCount) * 100)}%">${count}</span>
+            </div>`;
+        const histogram = stats.guessDistribution.map(b => bar(b.label, b.count)).join('') +
+            bar('Lost', stats.losses, 'stats-bar--lost');
+
+        const categories = stats.categories.length
+            ? stats.categories.map(c => `
+                <tr><td>${c.name}</td><td>${c.solved}/${c.attempts}</td><td>${c.rate}%</td></tr>`).join('')
+            : '<tr><td colspan="3">Finish a game to see how you do on each category.</td></tr>';
+
+        document.getElementById('statsContent').innerHTML = `
+            <div class="stats-summary">${summary}</div>
+            <h3>Guess distribution (wins)</h3>
+            <div class="stats-histogram">${histogram}</div>
+            <h3>By category</h3>
+            <table class="stats-categories">
+                <thead><tr><th>Criterion</th><th>Solved</th><th>Rate</th></tr></thead>
+                <tbody>${categories}</tbody>
+            </table>
+        `;
+    }
+
+    /** Claim the username typed in the stats modal (PUT /api/players/me/username). */
+    async claimUsername() {
+        const input = document.getElementById('usernameInput');
+        const message = document.getElementById('usernameMessage');
+        if (!this.player) return;
+
+        try {
+            const response = await fetch(`${this.backendBase}/api/players/me/username`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ username: input.value.trim() })
+            });
+            const data = await response.json();
+            message.textContent = response.ok ? `Saved as ${data.username}` : data.error;
+        } catch (err) {
+            console.error('Username error:', err);
+            message.textContent = 'Could not save username';
+        }
+    }
+
+    /** "12%" for a pick percentage; "<1%" for very rare picks. */
+    formatPercent(percent) {
+        if (percent > 0 && percent < 1) return '<1%';
+        return `${Math.round(percent)}%`;
+    }
+
     /** Sum of guessCount across all cells (for win message). */
     getTotalGuesses() {
         return this.grid.reduce((total, cell) => total + cell.guessCount, 0);
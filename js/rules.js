@@ -0,0 +1,116 @@
+/**
+ * MTGDoku — Rule sets, shared by server.js and js/game.js.
+ *
+ * A rule set decides how many guesses a player gets and when the game ends:
+ *   classic    6 guesses per cell; running out on any cell ends the game
+ *   pool       one shared pool for the whole board (a guess per cell plus
+ *              POOL_SPARE_GUESSES spares, 12 on a 3 × 3 board)
+ *   unique     classic, but a card can only answer one cell
+ *   survival   6 guesses per cell; a cell that runs out is skipped and the
+ *              game goes on until every cell is solved or out of guesses
+ * A daily puzzle stores its rule set (classic unless an admin picks another);
+ * practice boards take one from the URL.
+ *
+ * In Node this file is a CommonJS module; in the browser it defines the
+ * global `MTGDokuRules`. Either way the API is:
+ *   RULE_SETS, DEFAULT_RULES, isRuleSet(id), get(id), guessPool(rules, cellCount),
+ *   evaluate(rules, cells).
+ * `cells` is one { guesses, solved } per cell, row-major.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MTGDokuRules = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Guesses per cell under the per-cell rule sets.
+    const GUESSES_PER_CELL = 6;
+
+    // Shared-pool size beyond one guess per cell.
+    const POOL_SPARE_GUESSES = 3;
+
+    const DEFAULT_RULES = 'classic';
+
+    const RULE_SETS = {
+        classic: {
+            id: 'classic',
+            name: 'Classic',
+            summary: `${GUESSES_PER_CELL} guesses per cell. Run out on any cell and the game is over.`,
+            guessesPerCell: GUESSES_PER_CELL,
+            sharedPool: false,
+            uniqueCards: false,
+            survival: false
+        },
+        pool: {
+            id: 'pool',
+            name: 'Shared Pool',
+            summary: `One pool of guesses for the whole board: one per cell plus ${POOL_SPARE_GUESSES} spares. The game ends when it's empty.`,
+            guessesPerCell: null,
+            sharedPool: true,
+            uniqueCards: false,
+            survival: false
+        },
+        unique: {
+            id: 'unique',
+            name: 'No Repeats',
+            summary: `${GUESSES_PER_CELL} guesses per cell, and each card can only answer one cell.`,
+            guessesPerCell: GUESSES_PER_CELL,
+            sharedPool: false,
+            uniqueCards: true,
+            survival: false
+        },
+        survival: {
+            id: 'survival',
+            name: 'Survival',
+            summary: `${GUESSES_PER_CELL} guesses per cell. A cell that runs out is skipped; keep going until every cell is done.`,
+            guessesPerCell: GUESSES_PER_CELL,
+            sharedPool: false,
+            uniqueCards: false,
+            survival: true
+        }
+    };
+
+    /** True if `id` names a rule set. */
+    function isRuleSet(id) {
+        return typeof id === 'string' && Object.prototype.hasOwnProperty.call(RULE_SETS, id);
+    }
+
+    /** The rule set called `id`, or classic for anything unknown (e.g. puzzles saved before rule sets). */
+    function get(id) {
+        return isRuleSet(id) ? RULE_SETS[id] : RULE_SETS[DEFAULT_RULES];
+    }
+
+    /** Total guesses allowed on a board of `cellCount` cells, or null when guesses are counted per cell. */
+    function guessPool(rules, cellCount) {
+        return rules.sharedPool ? cellCount + POOL_SPARE_GUESSES : null;
+    }
+
+    /**
+     * Where a game stands under `rules`.
+     * @param {Array<{ guesses: number, solved: boolean }>} cells
+     * @returns {{ finished: boolean, won: boolean, failed: boolean[], guessesLeft: number | null }}
+     *   `failed` marks cells out of guesses; `guessesLeft` is what remains of a shared pool.
+     */
+    function evaluate(rules, cells) {
+        const failed = cells.map(c => !c.solved && rules.guessesPerCell !== null && c.guesses >= rules.guessesPerCell);
+        const pool = guessPool(rules, cells.length);
+        const guessesLeft = pool === null ? null : Math.max(0, pool - cells.reduce((sum, c) => sum + c.guesses, 0));
+
+        const won = cells.every(c => c.solved);
+        let lost;
+        if (rules.sharedPool) lost = guessesLeft === 0;
+        else if (rules.survival) lost = cells.every((c, i) => c.solved || failed[i]);
+        else lost = failed.some(Boolean);
+        return { finished: won || lost, won, failed, guessesLeft };
+    }
+
+    return {
+        GUESSES_PER_CELL,
+        POOL_SPARE_GUESSES,
+        DEFAULT_RULES,
+        RULE_SETS,
+        isRuleSet,
+        get,
+        guessPool,
+        evaluate
+    };
+});
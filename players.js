@@ -0,0 +1,257 @@
+/**
+ * MTGDoku — Anonymous players, server-side game progress and lifetime stats.
+ *
+ * A player is created on first visit (POST /api/players) and gets a public id
+ * plus a secret token the browser keeps in localStorage. Requests that carry
+ * "Authorization: Bearer <token>" are tied to that player. Only a hash of the
+ * token is stored.
+ *
+ * A player's game on a date is rebuilt from their recorded guesses, so wins,
+ * streaks and stats come from what the server saw, not what the client claims.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const rarity = require('./rarity');
+const puzzles = require('./puzzles');
+const rules = require('./js/rules');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+// Buckets for the guess-distribution histogram: guesses a won game took beyond
+// one per cell, so boards of every size share the same scale.
+const GUESS_BUCKETS = [
+    { label: 'Perfect', max: 0 },
+    { label: '+1–3', max: 3 },
+    { label: '+4–6', max: 6 },
+    { label: '+7–11', max: 11 },
+    { label: '+12 or more', max: Infinity }
+];
+
+/** sha256 of a token, hex-encoded (what the players table stores). */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a new anonymous player.
+ * @returns {{ id: string, token: string }} The token is only ever returned here.
+ */
+function createPlayer() {
+    const id = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('hex');
+    db.createPlayer(id, hashToken(token));
+    return { id, token };
+}
+
+/**
+ * Returns the player for a request's bearer token, or null if there is none
+ * or it's unknown.
+ * @returns {{ id: string, username: string | null } | null}
+ */
+function authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer ([a-f0-9]{48})$/);
+    if (!match) return null;
+    return db.getPlayerByTokenHash(hashToken(match[1]));
+}
+
+/** True if `username` is 3–20 letters, digits, "_" or "-". */
+function isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username);
+}
+
+/**
+ * Rebuilds a player's game on one puzzle from their recorded guesses.
+ * @param {Object} ruleSet - The puzzle's rule set (js/rules.js), which decides when the game is over.
+ * @param {number} cellCount - Cells on the puzzle's board (rows × columns).
+ * @returns {{ cells: Array<{ guesses: number, solved: boolean, answer: string | null }>,
+ *   failed: boolean[], finished: boolean, won: boolean, startedAt: string | null, lastGuessAt: string | null }}
+ *   `answer` is the oracle id that solved the cell; `failed` marks cells out of guesses.
+ */
+function getGameState(playerId, dateStr, ruleSet, cellCount) {
+    const guesses = db.getPlayerGuesses(playerId, dateStr);
+    const cells = Array.from({ length: cellCount }, () => ({ guesses: 0, solved: false, answer: null }));
+    for (const g of guesses) {
+        cells[g.cell].guesses++;
+        if (g.correct) {
+            cells[g.cell].solved = true;
+            cells[g.cell].answer = g.oracle_id;
+        }
+    }
+
+    const { finished, won, failed } = rules.evaluate(ruleSet, cells);
+    return {
+        cells,
+        failed,
+        finished,
+        won,
+        startedAt: guesses.length ? guesses[0].created_at : null,
+        lastGuessAt: guesses.length ? guesses[guesses.length - 1].created_at : null
+    };
+}
+
+/**
+ * True if a guess on `cell` would still count toward the game in `state`
+ * (getGameState()): the game isn't over and the cell is neither solved nor out
+ * of guesses. Other guesses are replays after a reset.
+ */
+function countsGuess(state, cell) {
+    return !state.finished && !state.cells[cell].solved && !state.failed[cell];
+}
+
+/**
+ * Records a checked guess for a player, unless the game or cell is already
+ * over for them (replays after a reset are checked but not counted). Stores
+ * the finished game once the guess wins or loses it.
+ * @returns {{ recorded: boolean, state: Object }} state is getGameState() after the guess.
+ */
+function recordGuess(playerId, dateStr, cell, oracleId, correct, ruleSet, cellCount) {
+    const before = getGameState(playerId, dateStr, ruleSet, cellCount);
+    if (!countsGuess(before, cell)) {
+        return { recorded: false, state: before };
+    }
+
+    db.recordPlayerGuess(playerId, dateStr, cell, oracleId, correct);
+    const state = getGameState(playerId, dateStr, ruleSet, cellCount);
+    if (state.finished) {
+        db.recordGame({
+            playerId,
+            date: dateStr,
+            won: state.won,
+            totalGuesses: state.cells.reduce((sum, c) => sum + c.guesses, 0),
+            solvedCells: state.cells.filter(c => c.solved).length,
+            cellResults: state.cells.map(({ guesses, solved }) => ({ guesses, solved })),
+            startedAt: state.startedAt,
+            finishedAt: state.lastGuessAt
+        });
+    }
+    return { recorded: true, state };
+}
+
+/** Number of days from YYYY-MM-DD `a` to `b` (b − a). */
+function daysBetween(a, b) {
+    return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Lifetime stats for a player, from their finished games.
+ * @param {string} today - Current puzzle date; a streak only counts as current
+ *   if its last win is today or yesterday.
+ * @returns {{ gamesPlayed, wins, winPercent, currentStreak, maxStreak, averageGuesses,
+ *   guessDistribution: Array<{ label, count }>, losses,
+ *   categories: Array<{ name, attempts, solved, rate }> }}
+ */
+function getStats(playerId, today) {
+    const games = db.getPlayerGames(playerId);
+    const wins = games.filter(g => g.won);
+
+    // Streaks: runs of wins on consecutive puzzle dates.
+    let maxStreak = 0;
+    let run = 0;
+    let lastWinDate = null;
+    for (const g of games) {
+        if (!g.won) {
+            run = 0;
+            continue;
+        }
+        run = lastWinDate && run > 0 && daysBetween(lastWinDate, g.date) === 1 ? run + 1 : 1;
+        lastWinDate = g.date;
+        maxStreak = Math.max(maxStreak, run);
+    }
+    const lastGame = games[games.length - 1];
+    const currentStreak = lastGame && lastGame.won && daysBetween(lastGame.date, today) <= 1 ? run : 0;
+
+    const guessDistribution = GUESS_BUCKETS.map(b => ({ label: b.label, count: 0 }));
+    for (const g of wins) {
+        const i = GUESS_BUCKETS.findIndex(b => g.totalGuesses - g.cellResults.length <= b.max);
+        guessDistribution[i].count++;
+    }
+
+    // Per-criterion success: every cell the player guessed on counts once for its row and column.
+    const byName = new Map();
+    for (const g of games) {
+        if (!g.colCriteria.length) continue;  // Puzzle since removed
+        g.cellResults.forEach((cell, i) => {
+            if (!cell.guesses && !cell.solved) return;
+            const { row, col } = puzzles.criteriaForCell(g, i);
+            for (const crit of [row, col]) {
+                if (!crit) continue;
+                const entry = byName.get(crit.name) || { name: crit.name, attempts: 0, solved: 0 };
+                entry.attempts++;
+                if (cell.solved) entry.solved++;
+                byName.set(crit.name, entry);
+            }
+        });
+    }
+    const categories = [...byName.values()]
+        .map(c => ({ ...c, rate: Math.round((c.solved / c.attempts) * 100) }))
+        .sort((a, b) => a.rate - b.rate || b.attempts - a.attempts || a.name.localeCompare(b.name));
+
+    return {
+        gamesPlayed: games.length,
+        wins: wins.length,
+        losses: games.length - wins.length,
+        winPercent: games.length ? Math.round((wins.length / games.length) * 100) : 0,
+        currentStreak,
+        maxStreak,
+        averageGuesses: wins.length
+            ? Math.round((wins.reduce((sum, g) => sum + g.totalGuesses, 0) / wins.length) * 10) / 10
+            : null,
+        guessDistribution,
+        categories
+    };
+}
+
+/**
+ * Leaderboard for one puzzle date, built from recorded game completions.
+ * Wins rank above losses (and losses by cells solved); then fewest total
+ * guesses, lowest rarity score, and fastest completion. Equal entries share a rank.
+ * @param {string | null} viewerId - Player asking, so their row can be marked.
+ * @param {number} limit - Max entries returned.
+ * @returns {Array<{ rank, name, isYou, won, solvedCells, totalGuesses, rarityScore, seconds }>}
+ */
+function getLeaderboard(dateStr, viewerId, limit) {
+    const puzzle = db.getPuzzle(dateStr);
+    const cellCount = puzzle ? puzzle.rows * puzzle.cols : 0;
+    const answers = new Map();  // playerId → one oracle id per cell (null = unsolved)
+    for (const g of db.getCorrectGuessesForDate(dateStr)) {
+        if (!answers.has(g.player_id)) answers.set(g.player_id, Array(cellCount).fill(null));
+        answers.get(g.player_id)[g.cell] = g.oracle_id;
+    }
+
+    const entries = db.getGamesForDate(dateStr).map(g => ({
+        playerId: g.playerId,
+        name: g.username || `Anonymous #${g.playerId.slice(0, 4)}`,
+        won: g.won,
+        solvedCells: g.solvedCells,
+        totalGuesses: g.totalGuesses,
+        rarityScore: rarity.rarityScore(dateStr, answers.get(g.playerId) || Array(cellCount).fill(null)).score,
+        seconds: Math.max(0, Math.round((Date.parse(g.finishedAt) - Date.parse(g.startedAt)) / 1000))
+    }));
+
+    const compare = (a, b) =>
+        (b.won - a.won) ||
+        (b.solvedCells - a.solvedCells) ||
+        (a.totalGuesses - b.totalGuesses) ||
+        (a.rarityScore - b.rarityScore) ||
+        (a.seconds - b.seconds);
+    entries.sort(compare);
+
+    let rank = 0;
+    return entries.slice(0, limit).map(({ playerId, ...entry }, i) => {
+        if (i === 0 || compare(entries[i - 1], entries[i]) !== 0) rank = i + 1;
+        return { rank, ...entry, isYou: playerId === viewerId };
+    });
+}
+
+module.exports = {
+    createPlayer,
+    authenticate,
+    isValidUsername,
+    getGameState,
+    countsGuess,
+    recordGuess,
+    getStats,
+    getLeaderboard
+};
@@ -0,0 +1,668 @@
+/**
+ * MTGDoku — Criteria pools and puzzle generation.
+ *
+ * Builds boards from the criteria pools below, checking every cell against the
+ * imported cards, and rates their difficulty. Generation is deterministic: a
+ * date's board comes from a PRNG seeded with the date, PUZZLE_SECRET and
+ * GENERATOR_VERSION, so any generated puzzle can be rebuilt from the same card
+ * data (see verify-puzzles.js). Each puzzle records which card data that was
+ * (cardDataVersion), and CARD_DATA_VERSION pins it. Used by server.js,
+ * verify-puzzles.js and import-cards.js.
+ */
+
+const crypto = require('crypto');
+const criteria = require('./js/criteria');
+const db = require('./db');
+
+// Bump when the pools or the generation algorithm change: every date then gets
+// a new board, and stored puzzles from older versions are left as they are.
+const GENERATOR_VERSION = 1;
+
+// Server secret mixed into every seed (env PUZZLE_SECRET), so the public source
+// isn't enough to work out future boards.
+const PUZZLE_SECRET = process.env.PUZZLE_SECRET || '';
+
+// The card data daily puzzles must be generated from (env CARD_DATA_VERSION, as
+// printed by import-cards.js). Boards depend on the imported cards, so with this
+// set a lost database rebuilt from a different import refuses to generate
+// instead of silently handing out different past puzzles.
+const CARD_DATA_VERSION = process.env.CARD_DATA_VERSION || null;
+
+// Rows and columns a board may have. Daily puzzles are DAILY_GRID_SIZE square;
+// practice boards and admin-written puzzles can be any size in range.
+const MIN_GRID_SIZE = 2;
+const MAX_GRID_SIZE = 5;
+const DAILY_GRID_SIZE = 3;
+
+// A generated board is rejected if any cell has fewer valid cards than this
+// (env MIN_CELL_ANSWERS, default 5; 0 turns the check off).
+const MIN_CELL_ANSWERS = parseMinAnswers(process.env.MIN_CELL_ANSWERS);
+
+// Difficulty bands on the 0 (trivial) – 100 (brutal) scale, easiest first.
+// Each band runs from min up to but not including max (scores are whole
+// numbers, so Hard's max of 101 takes in 100).
+const DIFFICULTY_BANDS = [
+    { label: 'Easy', min: 0, max: 40 },
+    { label: 'Medium', min: 40, max: 60 },
+    { label: 'Hard', min: 60, max: 101 }
+];
+
+// Which band each weekday's puzzle aims for, Sunday first: easy Mon/Tue, hard weekends.
+const DIFFICULTY_BY_WEEKDAY = ['Hard', 'Easy', 'Easy', 'Medium', 'Medium', 'Medium', 'Hard'];
+
+// Format each weekday's answers must be legal in, Sunday first (null = any card):
+// Commander Sundays, Modern Wednesdays, Pauper Fridays.
+const FORMAT_BY_WEEKDAY = ['commander', null, null, 'modern', null, 'pauper', null];
+
+// Practice seeds as they appear in ?seed= URLs: 1–32 letters, digits, "_" or "-".
+const PRACTICE_SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Practice boards kept in memory, so each guess doesn't regenerate its board.
+const PRACTICE_CACHE_SIZE = 100;
+const practiceCache = new Map();
+
+/** MIN_CELL_ANSWERS from its env value: a whole number, 5 when unset. */
+function parseMinAnswers(value) {
+    if (value === undefined || value === '') return 5;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`MIN_CELL_ANSWERS must be a whole number, got "${value}"`);
+    }
+    return n;
+}
+
+// =====================
+// Criteria pools
+// =====================
+// Each criterion has a display name and a code in the criteria language
+// (js/criteria.js), e.g. "c:u" = blue, "type:creature", "year>=2000 year<=2009".
+// New criteria only need an entry here; codes are checked when this module loads.
+// Adding, removing or reordering entries changes what every seed generates, so
+// bump GENERATOR_VERSION along with it.
+
+/** Cards that are at least this color (a Boros card is both red and white). */
+const allColors = [
+    { name: 'White Cards', code: 'c:w' },
+    { name: 'Blue Cards', code: 'c:u' },
+    { name: 'Black Cards', code: 'c:b' },
+    { name: 'Red Cards', code: 'c:r' },
+    { name: 'Green Cards', code: 'c:g' }
+];
+
+/** Colorless, multicolored and exactly mono-colored cards. */
+const allColorModes = [
+    { name: 'Colorless Cards', code: 'c:c' },
+    { name: 'Multicolored Cards', code: 'c:m' },
+    { name: 'Mono-White', code: 'c=w' },
+    { name: 'Mono-Blue', code: 'c=u' },
+    { name: 'Mono-Black', code: 'c=b' },
+    { name: 'Mono-Red', code: 'c=r' },
+    { name: 'Mono-Green', code: 'c=g' }
+];
+
+/** Exact two-color pairs (the card is these colors and no others). */
+const allExactColors = [
+    { name: 'Exactly White-Blue', code: 'c=wu' },
+    { name: 'Exactly Blue-Black', code: 'c=ub' },
+    { name: 'Exactly Black-Red', code: 'c=br' },
+    { name: 'Exactly Red-Green', code: 'c=rg' },
+    { name: 'Exactly Green-White', code: 'c=gw' }
+];
+
+/** Commander-style color identity (mana symbols anywhere on the card count). */
+const allIdentities = [
+    { name: 'Colorless Identity', code: 'id=c' },
+    { name: 'Fits a Boros Deck', code: 'id:rw' },
+    { name: 'Fits a Simic Deck', code: 'id:gu' },
+    { name: 'Fits an Orzhov Deck', code: 'id:wb' },
+    { name: 'Green in Color Identity', code: 'id>=g' },
+    { name: 'Black in Color Identity', code: 'id>=b' }
+];
+
+/** Card type (creature, instant, etc.). */
+const allTypes = [
+    { name: 'Creatures', code: 'type:creature' },
+    { name: 'Instants', code: 'type:instant' },
+    { name: 'Sorceries', code: 'type:sorcery' },
+    { name: 'Enchantments', code: 'type:enchantment' },
+    { name: 'Artifacts', code: 'type:artifact' }
+];
+
+/** Converted mana cost (CMC) ranges. */
+const allCMCs = [
+    { name: 'Mana Value <= 2', code: 'mv<=2' },
+    { name: 'Mana Value 3', code: 'mv=3' },
+    { name: 'Mana Value 4', code: 'mv=4' },
+    { name: 'Mana Value >= 5', code: 'mv>=5' }
+];
+
+/** Year of the card's first printing (reprints don't count). */
+const allYears = [
+    { name: 'First Printed Pre-2000', code: 'year<2000' },
+    { name: 'First Printed 2000-2009', code: 'year>=2000 year<=2009' },
+    { name: 'First Printed 2010-2019', code: 'year>=2010 year<=2019' },
+    { name: 'First Printed 2020+', code: 'year>=2020' }
+];
+
+/** Rarity the card has been printed at (any printing counts). */
+const allRarities = [
+    { name: 'Printed at Common', code: 'r:common' },
+    { name: 'Printed at Uncommon', code: 'r:uncommon' },
+    { name: 'Printed at Rare', code: 'r:rare' },
+    { name: 'Printed at Mythic', code: 'r:mythic' }
+];
+
+/** Keyword abilities (Scryfall's keywords list). */
+const allKeywords = [
+    { name: 'Flying', code: 'kw:flying' },
+    { name: 'Trample', code: 'kw:trample' },
+    { name: 'Deathtouch', code: 'kw:deathtouch' },
+    { name: 'Lifelink', code: 'kw:lifelink' },
+    { name: 'Haste', code: 'kw:haste' },
+    { name: 'Vigilance', code: 'kw:vigilance' },
+    { name: 'First Strike', code: 'kw:"first strike"' },
+    { name: 'Flash', code: 'kw:flash' },
+    { name: 'Menace', code: 'kw:menace' },
+    { name: 'Reach', code: 'kw:reach' }
+];
+
+/** Creature subtypes. */
+const allSubtypes = [
+    { name: 'Elves', code: 'st:elf' },
+    { name: 'Goblins', code: 'st:goblin' },
+    { name: 'Humans', code: 'st:human' },
+    { name: 'Zombies', code: 'st:zombie' },
+    { name: 'Dragons', code: 'st:dragon' },
+    { name: 'Wizards', code: 'st:wizard' },
+    { name: 'Angels', code: 'st:angel' },
+    { name: 'Merfolk', code: 'st:merfolk' },
+    { name: 'Vampires', code: 'st:vampire' },
+    { name: 'Soldiers', code: 'st:soldier' }
+];
+
+/** Printed power/toughness thresholds ("*" doesn't count). */
+const allPowerToughness = [
+    { name: 'Power >= 4', code: 'pow>=4' },
+    { name: 'Power <= 1', code: 'pow<=1' },
+    { name: 'Toughness >= 5', code: 'tou>=5' },
+    { name: 'Toughness 1', code: 'tou=1' }
+];
+
+/** Sets and blocks the card was printed in (any printing counts). */
+const allSets = [
+    { name: 'Printed in Alpha', code: 's:lea' },
+    { name: 'Mirrodin Block', code: 's:mrd or s:dst or s:5dn' },
+    { name: 'Ravnica Block', code: 's:rav or s:gpt or s:dis' },
+    { name: 'Zendikar Block', code: 's:zen or s:wwk or s:roe' },
+    { name: 'Innistrad Block', code: 's:isd or s:dka or s:avr' },
+    { name: 'Theros Block', code: 's:ths or s:bng or s:jou' },
+    { name: 'Printed in Dominaria', code: 's:dom' },
+    { name: 'Printed in a Commander Set', code: 's:cmd or s:c13 or s:c14 or s:c15 or s:c16 or s:c17 or s:cmr or s:clb' }
+];
+
+/** Format legality (Scryfall legalities; restricted counts as legal). */
+const allLegalities = [
+    { name: 'Legal in Modern', code: 'f:modern' },
+    { name: 'Legal in Pioneer', code: 'f:pioneer' },
+    { name: 'Legal in Pauper', code: 'f:pauper' },
+    { name: 'Not Legal in Modern', code: '-f:modern' },
+    { name: 'Banned in Commander', code: 'banned:commander' },
+    { name: 'Banned in Modern', code: 'banned:modern' },
+    { name: 'Banned in Legacy', code: 'banned:legacy' },
+    { name: 'Restricted in Vintage', code: 'restricted:vintage' }
+];
+
+/** Supertypes. */
+const allSupertypes = [
+    { name: 'Legendary', code: 'supertype:legendary' },
+    { name: 'Snow', code: 'supertype:snow' }
+];
+
+/** Rules-text matches. */
+const allRulesText = [
+    { name: 'Draws a Card', code: 'o:"draw a card" or o:"draws a card"' },
+    { name: 'Destroys a Creature', code: 'o:"destroy target creature"' },
+    { name: 'Makes Tokens', code: 'o:create o:token' },
+    { name: 'Counters Spells', code: 'o:"counter target"' },
+    { name: 'Searches the Library', code: 'o:"search your library"' },
+    { name: 'Gains Life', code: 'o:"gain" o:"life"' }
+];
+
+/** Every criterion a board can use. */
+const allCriteria = [
+    ...allColors,
+    ...allColorModes,
+    ...allExactColors,
+    ...allIdentities,
+    ...allTypes,
+    ...allCMCs,
+    ...allYears,
+    ...allRarities,
+    ...allKeywords,
+    ...allSubtypes,
+    ...allPowerToughness,
+    ...allSets,
+    ...allLegalities,
+    ...allSupertypes,
+    ...allRulesText
+];
+
+// Fail at startup on a malformed code rather than on the first board that draws it.
+for (const crit of allCriteria) criteria.parse(crit.code);
+
+// =====================
+// Board generation helpers
+// =====================
+
+/**
+ * Seeded pseudo-random generator (sfc32) from a string seed: the same seed
+ * always yields the same sequence of numbers in [0, 1).
+ * @returns {() => number}
+ */
+function createRng(seed) {
+    const hash = crypto.createHash('sha256').update(String(seed)).digest();
+    let a = hash.readUInt32LE(0);
+    let b = hash.readUInt32LE(4);
+    let c = hash.readUInt32LE(8);
+    let d = hash.readUInt32LE(12);
+    return () => {
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * The seed a date's puzzle is generated from: the generator version, the
+ * server's PUZZLE_SECRET and the date.
+ */
+function seedFor(dateStr) {
+    return `mtgdoku:v${GENERATOR_VERSION}:${PUZZLE_SECRET}:${dateStr}`;
+}
+
+/**
+ * Shuffles a copy of an array (Fisher–Yates) using `rng` (a () => [0, 1) function).
+ * Used to pick row/column criteria for each new board.
+ */
+function shuffleArray(array, rng) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Returns true if a single card could satisfy both criteria at once.
+ * Prevents impossible cells (e.g. "Mana Value 3" row vs "Mana Value 4" column);
+ * see criteria.mayOverlap for the rules.
+ */
+function areCriteriaCompatible(critA, critB) {
+    return criteria.mayOverlap(critA.code, critB.code);
+}
+
+// Every imported card, loaded once and reloaded after a new import.
+let cardPool = [];
+let cardPoolCount = -1;
+// criterion code → Set of cards in cardPool that satisfy it (cleared with the pool)
+let matchCache = new Map();
+// cardDataVersion() of cardPool, worked out on first use (cleared with the pool)
+let cardPoolVersion;
+
+/** Returns all cards from the local card tables (cached until the card count changes). */
+function getCardPool() {
+    const count = db.countCards();
+    if (count !== cardPoolCount) {
+        cardPool = db.getAllCards();
+        cardPoolCount = count;
+        matchCache = new Map();
+        cardPoolVersion = undefined;
+    }
+    return cardPool;
+}
+
+/**
+ * A short fingerprint of the imported card data (12 hex characters), or null
+ * with no cards: the same import always gives the same value, and any change
+ * that could alter a generated board gives a new one. Images are left out,
+ * since they never affect a board; lists of plain values are compared as sets.
+ */
+function cardDataVersion() {
+    const pool = getCardPool();
+    if (cardPoolVersion === undefined) {
+        const canonical = (key, value) => {
+            if (key === 'imageUrl' || key === 'images') return undefined;
+            if (Array.isArray(value) && value.every(v => typeof v !== 'object' || v === null)) return [...value].sort();
+            return value;
+        };
+        const hash = crypto.createHash('sha256');
+        for (const card of [...pool].sort((a, b) => (a.oracleId < b.oracleId ? -1 : 1))) {
+            hash.update(JSON.stringify(card, canonical)).update('\n');
+        }
+        cardPoolVersion = pool.length ? hash.digest('hex').slice(0, 12) : null;
+    }
+    return cardPoolVersion;
+}
+
+/** The cards in the pool that satisfy one criterion (cached per code). */
+function matchingCards(crit) {
+    const pool = getCardPool();
+    if (!matchCache.has(crit.code)) {
+        matchCache.set(crit.code, new Set(pool.filter(card => checkSingleCriteria(card, crit))));
+    }
+    return matchCache.get(crit.code);
+}
+
+/** The "Legal in <format>" criterion every answer on a format-restricted puzzle must meet. */
+function formatCriterion(format) {
+    return { name: `Legal in ${criteria.FORMATS[format]}`, code: `f:${format}` };
+}
+
+/**
+ * A criterion narrowed to cards legal in `format` (for counting answers on a
+ * format-restricted puzzle). Returns the criterion unchanged when format is null.
+ */
+function inFormat(crit, format) {
+    return format ? { ...crit, code: `f:${format} (${crit.code})` } : crit;
+}
+
+/**
+ * The criteria a board for `format` may use: legality criteria about that
+ * format itself would be always or never true there, so they are left out.
+ */
+function criteriaForFormat(format) {
+    if (!format) return allCriteria;
+    return allCriteria.filter(crit => !(allLegalities.includes(crit) && crit.code.endsWith(`:${format}`)));
+}
+
+/** How many cards satisfy both criteria (the answers to their cell). */
+function countBoth(critA, critB) {
+    const a = matchingCards(critA);
+    const b = matchingCards(critB);
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let n = 0;
+    for (const card of small) if (large.has(card)) n++;
+    return n;
+}
+
+/**
+ * How much a card helps a player: well-known cards count fully, obscure ones
+ * barely. Uses EDHREC rank (1 = most played); unranked cards count as 0.05.
+ */
+function answerWeight(card) {
+    if (!card.edhrecRank) return 0.05;
+    return 1 / (1 + card.edhrecRank / 5000);
+}
+
+/**
+ * Counts the real answers for every cell (how many cards satisfy both that
+ * cell's row and column criteria) and rates the board's difficulty.
+ *
+ * A cell's difficulty falls with the log of its popularity-weighted answer
+ * count (3 well-known answers ≈ 80, 300 ≈ 25). The board score mixes the
+ * average cell with the hardest one, since one brutal cell can sink a day.
+ * With a `format`, only cards legal in it count as answers.
+ * @returns {{ cellCounts: number[], difficulty: number }} One count per cell (row-major), score 0–100.
+ */
+function analyzeBoard(rowCriteria, colCriteria, format = null) {
+    const rowSets = rowCriteria.map(crit => matchingCards(inFormat(crit, format)));
+    const colSets = colCriteria.map(crit => matchingCards(inFormat(crit, format)));
+
+    const cellCounts = [];
+    const cellDifficulty = [];
+    for (const rowSet of rowSets) {
+        for (const colSet of colSets) {
+            let n = 0;
+            let weighted = 0;
+            for (const card of rowSet) {
+                if (!colSet.has(card)) continue;
+                n++;
+                weighted += answerWeight(card);
+            }
+            cellCounts.push(n);
+            cellDifficulty.push(Math.min(100, Math.max(0, 100 - 30 * Math.log10(1 + weighted))));
+        }
+    }
+
+    const mean = cellDifficulty.reduce((a, b) => a + b, 0) / cellDifficulty.length;
+    const difficulty = Math.round(0.6 * mean + 0.4 * Math.max(...cellDifficulty));
+    return { cellCounts, difficulty };
+}
+
+/** How far a difficulty score is outside a band ({ min, max }, max excluded); 0 inside it. */
+function distanceFromBand(score, band) {
+    if (score < band.min) return band.min - score;
+    if (score >= band.max) return score - band.max + 1;
+    return 0;
+}
+
+/** Band label ("Easy", "Medium", "Hard") for a difficulty score. */
+function difficultyLabel(score) {
+    return DIFFICULTY_BANDS.find(b => distanceFromBand(score, b) === 0).label;
+}
+
+/** { score, label } for a difficulty score, or null if the board isn't rated. */
+function describeDifficulty(score) {
+    return score === null ? null : { score, label: difficultyLabel(score) };
+}
+
+/** The difficulty band the puzzle for a YYYY-MM-DD date should aim for. */
+function targetBandFor(dateStr) {
+    const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return DIFFICULTY_BANDS.find(b => b.label === DIFFICULTY_BY_WEEKDAY[weekday]);
+}
+
+/**
+ * Builds one puzzle board: `rows` row criteria and `cols` column criteria such
+ * that every row/column pair is compatible. When cards have been imported, each
+ * cell must also have at least `minAnswers` real matching cards; candidates
+ * that don't are rejected and another shuffle is tried.
+ *
+ * If a difficulty `band` ({ min, max }) is given, keeps shuffling until a
+ * board scores inside it; if none does, returns the closest solvable board.
+ * With a `format` (e.g. "modern"), only cards legal in it count as answers.
+ * Shuffles come from a PRNG seeded with `seed`, so the same seed, card data and
+ * settings always give the same board.
+ * Columns are picked greedily from the rest of the shuffle, so larger grids
+ * only need a larger pool of criteria, not more attempts.
+ * Returns { rowCriteria, colCriteria, cellCounts, difficulty, format } (counts
+ * and difficulty are null when there is no card database to count against).
+ */
+function generateBoard({ seed, rows: rowCount = DAILY_GRID_SIZE, cols: colCount = DAILY_GRID_SIZE,
+    minAnswers = MIN_CELL_ANSWERS, band = null, format = null }) {
+    const rng = createRng(seed);
+    const canCount = getCardPool().length > 0;
+    const missBy = score => (band ? distanceFromBand(score, band) : 0);
+
+    const pool = criteriaForFormat(format);
+    let attempts = 0;
+    const maxAttempts = 200;
+    let best = null;
+
+    while (attempts < maxAttempts) {
+        attempts++;
+        const shuffled = shuffleArray(pool, rng);
+        const rows = shuffled.slice(0, rowCount);
+        const cols = [];
+
+        // Find column criteria that are compatible with every row (so each cell is solvable).
+        // With cards imported, each cell must also have enough real answers.
+        for (let i = rowCount; i < shuffled.length; i++) {
+            const candidate = shuffled[i];
+            let compatible = true;
+            for (const row of rows) {
+                if (!areCriteriaCompatible(candidate, row) ||
+                    (canCount && countBoth(inFormat(row, format), inFormat(candidate, format)) < minAnswers)) {
+                    compatible = false;
+                    break;
+                }
+            }
+            if (compatible) cols.push(candidate);
+            if (cols.length === colCount) break;
+        }
+
+        if (cols.length !== colCount) continue;
+        if (!canCount) return { rowCriteria: rows, colCriteria: cols, cellCounts: null, difficulty: null, format };
+
+        const { cellCounts, difficulty } = analyzeBoard(rows, cols, format);
+        if (Math.min(...cellCounts) < minAnswers) continue;
+
+        const board = { rowCriteria: rows, colCriteria: cols, cellCounts, difficulty, format };
+        if (missBy(difficulty) === 0) return board;
+        if (!best || missBy(difficulty) < missBy(best.difficulty)) best = board;
+    }
+
+    if (best) return best;
+
+    // With a card database we never hand out a board that has a (nearly) empty cell.
+    if (canCount) {
+        throw new Error(`No board with at least ${minAnswers} answers per cell after ${maxAttempts} attempts`);
+    }
+
+    // Fallback if we couldn't find a conflict-free board: use the first criteria shuffled.
+    // Some cells may be impossible; frontend still accepts any valid card per cell.
+    const shuffled = shuffleArray(pool, rng);
+    return {
+        rowCriteria: shuffled.slice(0, rowCount),
+        colCriteria: shuffled.slice(rowCount, rowCount + colCount),
+        cellCounts: null,
+        difficulty: null,
+        format
+    };
+}
+
+/**
+ * Generates the puzzle for a YYYY-MM-DD date: that weekday's difficulty band
+ * and format, seeded from the date (seedFor), so it can be rebuilt exactly
+ * from the same card import (recorded as `cardData`, see cardDataVersion).
+ * Daily puzzles are DAILY_GRID_SIZE square; `rows` / `cols` ask for another
+ * size (the admin page's Generate).
+ * If the card pool can't fill a board for the format, the day falls back to
+ * an unrestricted board rather than failing.
+ * Throws if CARD_DATA_VERSION is set and the imported cards don't match it.
+ * @returns {Object} generateBoard()'s board plus `generatorVersion` and `cardData`.
+ */
+function generatePuzzle(dateStr, { rows = DAILY_GRID_SIZE, cols = DAILY_GRID_SIZE } = {}) {
+    const cardData = cardDataVersion();
+    if (CARD_DATA_VERSION && cardData !== CARD_DATA_VERSION) {
+        throw new Error(`Imported card data is ${cardData || 'empty'} but CARD_DATA_VERSION is ${CARD_DATA_VERSION}; ` +
+            'import the matching card file before generating puzzles');
+    }
+    const seed = seedFor(dateStr);
+    const band = targetBandFor(dateStr);
+    const format = FORMAT_BY_WEEKDAY[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+    let board = null;
+    if (format) {
+        try {
+            board = generateBoard({ seed, rows, cols, band, format });
+        } catch (err) {
+            console.warn(`No ${format} board for ${dateStr} (${err.message}); using any card`);
+        }
+    }
+    return { ...(board || generateBoard({ seed, rows, cols, band })), generatorVersion: GENERATOR_VERSION, cardData };
+}
+
+/** True if `n` is an allowed number of rows or columns. */
+function isGridSize(n) {
+    return Number.isInteger(n) && n >= MIN_GRID_SIZE && n <= MAX_GRID_SIZE;
+}
+
+/** True if `seed` is a well-formed practice seed. */
+function isPracticeSeed(seed) {
+    return typeof seed === 'string' && PRACTICE_SEED_PATTERN.test(seed);
+}
+
+/** A new random practice seed (8 URL-safe characters). */
+function randomPracticeSeed() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+/**
+ * Generates the practice board for a seed and a square grid `size`: any
+ * difficulty, any card. Practice seeds leave out PUZZLE_SECRET so anyone can
+ * rebuild a shared board, and use their own prefix so they can never reproduce
+ * a daily puzzle. Practice boards are never stored; the last
+ * PRACTICE_CACHE_SIZE are kept in memory.
+ * @returns {Object} generateBoard()'s board.
+ */
+function generatePractice(seed, size = DAILY_GRID_SIZE) {
+    // 3 × 3 boards keep the plain seed, so links shared before other sizes existed still work.
+    const key = size === DAILY_GRID_SIZE ? seed : `${size}x${size}:${seed}`;
+    let board = practiceCache.get(key);
+    if (!board) {
+        board = generateBoard({ seed: `mtgdoku-practice:v${GENERATOR_VERSION}:${key}`, rows: size, cols: size });
+        if (practiceCache.size >= PRACTICE_CACHE_SIZE) {
+            practiceCache.delete(practiceCache.keys().next().value);  // Oldest first
+        }
+    } else {
+        practiceCache.delete(key);  // Re-inserted below as the most recent
+    }
+    practiceCache.set(key, board);
+    return board;
+}
+
+// =====================
+// Checking cards and stored boards
+// =====================
+
+/**
+ * Returns true if the card satisfies one criterion (its code, evaluated by
+ * js/criteria.js). `card` is the shape returned by db.getCard().
+ */
+function checkSingleCriteria(card, crit) {
+    if (!crit || !crit.code) return true;
+    return criteria.matches(crit.code, card);
+}
+
+/** The row and column criteria of a cell (row-major index) on a board. */
+function criteriaForCell(board, cell) {
+    const cols = board.colCriteria.length;
+    return { row: board.rowCriteria[Math.floor(cell / cols)], col: board.colCriteria[cell % cols] };
+}
+
+/**
+ * True if the puzzle has MIN_GRID_SIZE–MAX_GRID_SIZE row and column criteria
+ * (matching its stored `rows` and `cols`, if any) with a name and a code that
+ * parses, and no format or a known one (rejects test or corrupt rows).
+ */
+function isValidBoard(board) {
+    const isValidCriterion = c => c && typeof c.name === 'string' && typeof c.code === 'string' && criteria.isValid(c.code);
+    const isValidAxis = (list, size) =>
+        Array.isArray(list) && isGridSize(list.length) && (size === undefined || size === list.length);
+    return board &&
+        isValidAxis(board.rowCriteria, board.rows) &&
+        isValidAxis(board.colCriteria, board.cols) &&
+        board.rowCriteria.every(isValidCriterion) &&
+        board.colCriteria.every(isValidCriterion) &&
+        (!board.format || Object.prototype.hasOwnProperty.call(criteria.FORMATS, board.format));
+}
+
+module.exports = {
+    GENERATOR_VERSION,
+    PUZZLE_SECRET,
+    CARD_DATA_VERSION,
+    MIN_CELL_ANSWERS,
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    isGridSize,
+    seedFor,
+    generateBoard,
+    generatePuzzle,
+    isPracticeSeed,
+    randomPracticeSeed,
+    generatePractice,
+    analyzeBoard,
+    getCardPool,
+    cardDataVersion,
+    areCriteriaCompatible,
+    checkSingleCriteria,
+    criteriaForCell,
+    formatCriterion,
+    describeDifficulty,
+    isValidBoard
+};
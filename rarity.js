@@ -0,0 +1,35 @@
+/**
+ * MTGDoku — Answer rarity: what share of players picked a card for a cell.
+ *
+ * Built on the answer_picks table (one count per date/cell/card). A player's
+ * rarity score is the sum of their picks' percentages, with unsolved cells
+ * counting 100, so lower means more creative answers.
+ */
+
+const db = require('./db');
+
+/**
+ * Share of accepted answers for a cell that picked this card.
+ * @returns {{ count: number, total: number, percent: number }} percent is 0–100, one decimal.
+ */
+function pickStats(dateStr, cell, oracleId) {
+    const { count, total } = db.getAnswerStats(dateStr, cell, oracleId);
+    const percent = total ? Math.round((count / total) * 1000) / 10 : 0;
+    return { count, total, percent };
+}
+
+/**
+ * Pick stats for each cell of a player's board, plus the total rarity score.
+ * @param {Array<string | null>} oracleIds - 9 entries, row-major; null = unsolved.
+ * @returns {{ cells: Array<Object | null>, score: number }}
+ */
+function rarityScore(dateStr, oracleIds) {
+    const cells = oracleIds.map((id, cell) => (id ? pickStats(dateStr, cell, id) : null));
+    const score = Math.round(cells.reduce((sum, c) => sum + (c ? c.percent : 100), 0) * 10) / 10;
+    return { cells, score };
+}
+
+module.exports = {
+    pickStats,
+    rarityScore
+};
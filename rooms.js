@@ -0,0 +1,313 @@
+/**
+ * MTGDoku — Head-to-head rooms ("tic-tac-doku").
+ *
+ * Two players share a 3 × 3 practice board and take turns claiming cells: a
+ * card that matches the cell's row and column claims it, a wrong one just
+ * ends the turn. Three claimed cells in a row (across, down or diagonal) wins;
+ * a full board without one is a draw. Each card can only be played once per
+ * game.
+ *
+ * Rooms live in memory only, so a restart ends every game. Each seat ("X"
+ * created the room, "O" joined it) has a secret token the browser keeps for
+ * that tab. Clients follow a room over server-sent events: every change is
+ * pushed to both seats as the whole public state. Moves are checked in
+ * server.js, which calls playMove() once a move is allowed.
+ *
+ * Timeouts: a turn lasts TURN_SECONDS, then passes to the other player;
+ * MAX_IDLE_TURNS timed-out turns in a row call the game off. A seat without an
+ * open event stream (never connected since the game started, or all its
+ * streams closed) has DISCONNECT_GRACE_SECONDS to come back before forfeiting.
+ * Rooms nobody joins expire after WAITING_ROOM_MINUTES, games still going after
+ * MAX_GAME_MINUTES are called off, and finished rooms are dropped after
+ * FINISHED_ROOM_MINUTES.
+ */
+
+const crypto = require('crypto');
+const puzzles = require('./puzzles');
+const players = require('./players');
+
+const TURN_SECONDS = 60;
+const DISCONNECT_GRACE_SECONDS = 30;
+const WAITING_ROOM_MINUTES = 10;
+const MAX_GAME_MINUTES = 60;
+const MAX_IDLE_TURNS = 4;
+const FINISHED_ROOM_MINUTES = 5;
+const MAX_ROOMS = 500;
+
+// Sent as an SSE comment so proxies don't close quiet streams.
+const HEARTBEAT_SECONDS = 25;
+
+// Room codes avoid letters that are easy to misread (I, O).
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 5;
+
+const SEATS = ['X', 'O'];
+
+// Every way to get three in a row on a 3 × 3 board (row-major cell indexes).
+const LINES = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+];
+
+const rooms = new Map();  // code → room
+
+/** A new unused room code, e.g. "KQZTR". */
+function newCode() {
+    let code;
+    do {
+        code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+/** A seat's display name: the player's valid username, or "Player X" / "Player O". */
+function seatName(name, seat) {
+    return players.isValidUsername(name) ? name : `Player ${seat}`;
+}
+
+/** A seat as a room stores it, with its token and open event streams. */
+function newSeat(seat, name) {
+    return {
+        name: seatName(name, seat),
+        token: crypto.randomBytes(24).toString('hex'),
+        streams: new Set(),
+        graceTimer: null
+    };
+}
+
+/** The other seat. */
+function opponent(seat) {
+    return seat === 'X' ? 'O' : 'X';
+}
+
+/** True while the server has room for another game. */
+function hasCapacity() {
+    return rooms.size < MAX_ROOMS;
+}
+
+/**
+ * Opens a room on a fresh random practice board, with the creator in seat X.
+ * @returns {{ room: Object, seat: 'X', token: string }}
+ */
+function createRoom(name) {
+    const seed = puzzles.randomPracticeSeed();
+    const board = puzzles.generatePractice(seed);
+    const room = {
+        code: newCode(),
+        seed,
+        rowCriteria: board.rowCriteria,
+        colCriteria: board.colCriteria,
+        cells: Array.from({ length: 9 }, () => ({ owner: null, card: null })),
+        usedCards: new Set(),  // oracle ids already played
+        seats: { X: newSeat('X', name), O: null },
+        status: 'waiting',     // waiting → playing → finished
+        turn: null,
+        turnEndsAt: null,
+        winner: null,          // 'X', 'O' or 'draw' once finished
+        winLine: null,
+        endReason: null,       // 'line', 'full', 'forfeit', 'idle' or 'expired'
+        moves: 0,              // Turns taken, including timed-out ones
+        idleTurns: 0,          // Timed-out turns since the last card played
+        lastMove: null,
+        turnTimer: null,
+        expiryTimer: null
+    };
+    rooms.set(room.code, room);
+    setExpiry(room, WAITING_ROOM_MINUTES);
+    return { room, seat: 'X', token: room.seats.X.token };
+}
+
+/** The room with this code (case-insensitive), or null. */
+function getRoom(code) {
+    return rooms.get(String(code || '').toUpperCase()) || null;
+}
+
+/** Which seat a token belongs to in a room ('X' or 'O'), or null. */
+function seatFor(room, token) {
+    return SEATS.find(seat => room.seats[seat] && room.seats[seat].token === token) || null;
+}
+
+/**
+ * Seats a second player as O and starts the game, X to move first. Either seat
+ * without an open event stream yet starts its grace period, so a game nobody
+ * follows doesn't hold a room forever. The caller checks the room is still waiting.
+ * @returns {{ seat: 'O', token: string }}
+ */
+function joinRoom(room, name) {
+    room.seats.O = newSeat('O', name);
+    room.status = 'playing';
+    setExpiry(room, MAX_GAME_MINUTES);
+    SEATS.forEach(seat => room.seats[seat].streams.size || startGrace(room, seat));
+    startTurn(room, 'X');
+    broadcast(room);
+    return { seat: 'O', token: room.seats.O.token };
+}
+
+/**
+ * Gives `seat` the move and restarts the turn clock. When it runs out the turn
+ * passes, unless that makes MAX_IDLE_TURNS in a row, which calls the game off.
+ */
+function startTurn(room, seat) {
+    clearTimeout(room.turnTimer);
+    room.turn = seat;
+    room.turnEndsAt = new Date(Date.now() + TURN_SECONDS * 1000).toISOString();
+    room.turnTimer = setTimeout(() => {
+        room.lastMove = { number: ++room.moves, seat, cell: null, correct: false, card: null, timedOut: true };
+        if (++room.idleTurns >= MAX_IDLE_TURNS) finish(room, null, 'idle');
+        else startTurn(room, opponent(seat));
+        broadcast(room);
+    }, TURN_SECONDS * 1000);
+}
+
+/** True if this card has already been played in the room. */
+function isCardUsed(room, oracleId) {
+    return room.usedCards.has(oracleId);
+}
+
+/**
+ * Applies a checked move: a card matching both the row and the column claims
+ * the cell for `seat`. Either way the card is used up and the turn passes,
+ * unless the move ends the game. The caller checks it's this seat's turn and
+ * the cell is open.
+ */
+function playMove(room, seat, cell, card, rowMatch, colMatch) {
+    const correct = rowMatch && colMatch;
+    room.idleTurns = 0;
+    room.usedCards.add(card.oracleId);
+    room.lastMove = { number: ++room.moves, seat, cell, correct, rowMatch, colMatch, card: { name: card.name }, timedOut: false };
+    if (correct) room.cells[cell] = { owner: seat, card };
+
+    const line = LINES.find(l => l.every(i => room.cells[i].owner === seat));
+    if (line) finish(room, seat, 'line', line);
+    else if (room.cells.every(c => c.owner)) finish(room, 'draw', 'full');
+    else startTurn(room, opponent(seat));
+    broadcast(room);
+}
+
+/** `seat` gives up (Leave button); the other seat wins, or a waiting room just closes. */
+function forfeit(room, seat) {
+    if (room.status === 'finished') return;
+    if (room.status === 'waiting') finish(room, null, 'expired');
+    else finish(room, opponent(seat), 'forfeit');
+    broadcast(room);
+}
+
+/** Ends the game and schedules the room's removal. */
+function finish(room, winner, reason, line = null) {
+    clearTimeout(room.turnTimer);
+    SEATS.forEach(seat => room.seats[seat] && clearTimeout(room.seats[seat].graceTimer));
+    room.status = 'finished';
+    room.turn = null;
+    room.turnEndsAt = null;
+    room.winner = winner;
+    room.winLine = line;
+    room.endReason = reason;
+    setExpiry(room, FINISHED_ROOM_MINUTES);
+}
+
+/**
+ * Removes the room after `minutes`, closing its streams. A game that hasn't
+ * finished by then (nobody joined, or it ran past MAX_GAME_MINUTES) ends first
+ * with reason 'expired'.
+ */
+function setExpiry(room, minutes) {
+    clearTimeout(room.expiryTimer);
+    room.expiryTimer = setTimeout(() => {
+        if (room.status !== 'finished') {
+            finish(room, null, 'expired');
+            broadcast(room);
+        }
+        SEATS.forEach(seat => room.seats[seat] && room.seats[seat].streams.forEach(res => res.end()));
+        clearTimeout(room.turnTimer);
+        clearTimeout(room.expiryTimer);  // Set again by finish() above
+        rooms.delete(room.code);
+    }, minutes * 60 * 1000);
+}
+
+/**
+ * Registers an open event stream (an Express response) for a seat and sends
+ * it the current state. A seat that comes back within the grace period keeps
+ * its place.
+ */
+function connect(room, seat, res) {
+    const s = room.seats[seat];
+    clearTimeout(s.graceTimer);
+    s.graceTimer = null;
+    s.streams.add(res);
+    broadcast(room);
+}
+
+/** Drops a closed stream; once a seat has none left, its grace period starts. */
+function disconnect(room, seat, res) {
+    const s = room.seats[seat];
+    s.streams.delete(res);
+    if (s.streams.size || room.status === 'finished') return;
+    startGrace(room, seat);
+    broadcast(room);
+}
+
+/** Gives a seat with no open stream DISCONNECT_GRACE_SECONDS to connect before it forfeits. */
+function startGrace(room, seat) {
+    const s = room.seats[seat];
+    clearTimeout(s.graceTimer);
+    s.graceTimer = setTimeout(() => forfeit(room, seat), DISCONNECT_GRACE_SECONDS * 1000);
+}
+
+/**
+ * Everything clients see about a room (tokens and timers left out).
+ * `usedCards` lists the oracle ids already played; `serverTime` lets clients
+ * count the turn down with the server's clock.
+ */
+function publicState(room) {
+    const seatJson = seat => {
+        const s = room.seats[seat];
+        return s ? { name: s.name, connected: s.streams.size > 0 } : null;
+    };
+    return {
+        code: room.code,
+        seed: room.seed,
+        rowCriteria: room.rowCriteria,
+        colCriteria: room.colCriteria,
+        cells: room.cells,
+        seats: { X: seatJson('X'), O: seatJson('O') },
+        status: room.status,
+        turn: room.turn,
+        turnEndsAt: room.turnEndsAt,
+        winner: room.winner,
+        winLine: room.winLine,
+        endReason: room.endReason,
+        lastMove: room.lastMove,
+        usedCards: [...room.usedCards],
+        serverTime: new Date().toISOString()
+    };
+}
+
+/** Pushes the room's state to every open stream as a "state" event. */
+function broadcast(room) {
+    const message = `event: state\ndata: ${JSON.stringify(publicState(room))}\n\n`;
+    SEATS.forEach(seat => room.seats[seat] && room.seats[seat].streams.forEach(res => res.write(message)));
+}
+
+// Keep idle streams open through proxies.
+setInterval(() => {
+    for (const room of rooms.values()) {
+        SEATS.forEach(seat => room.seats[seat] && room.seats[seat].streams.forEach(res => res.write(': ping\n\n')));
+    }
+}, HEARTBEAT_SECONDS * 1000).unref();
+
+module.exports = {
+    TURN_SECONDS,
+    DISCONNECT_GRACE_SECONDS,
+    hasCapacity,
+    createRoom,
+    getRoom,
+    seatFor,
+    joinRoom,
+    isCardUsed,
+    playMove,
+    forfeit,
+    connect,
+    disconnect,
+    publicState
+};
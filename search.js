@@ -0,0 +1,156 @@
+/**
+ * MTGDoku — Card name search over the local card tables.
+ *
+ * Builds an in-memory index of every card name (and face name, so "Ice" finds
+ * "Fire // Ice") and ranks matches for the search modal:
+ *   exact > prefix > word prefix > substring > typo (edit distance) > trigram overlap.
+ * Names are compared accent- and punctuation-insensitively ("Aether" finds "Æther").
+ * Ties are broken by name, then oracle id, so paging is stable.
+ */
+
+const db = require('./db');
+
+let index = null;       // [{ oracleId, name, keys: [normalized name, ...face names] }]
+let trigrams = null;    // Map<trigram, Set<position in index>>
+let indexedCount = -1;  // db.countCards() when the index was built; rebuilt after an import
+
+/**
+ * Lowercases, strips accents and ligatures, drops apostrophes and turns other
+ * punctuation into spaces: "Jötun Grunt" → "jotun grunt", "Mishra's" → "mishras".
+ */
+function normalize(str) {
+    return (str || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/æ/g, 'ae')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/** Set of 3-letter chunks of a normalized string, padded so word starts count. */
+function trigramsOf(str) {
+    const padded = `  ${str} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+/** Levenshtein distance with adjacent transpositions ("teh" → "the" costs 1). */
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/** (Re)builds the name index if the card tables changed since the last build. */
+function ensureIndex() {
+    const count = db.countCards();
+    if (index && count === indexedCount) return;
+
+    index = db.getCardNames().map(c => ({
+        oracleId: c.oracleId,
+        name: c.name,
+        keys: [...new Set([c.name, ...c.faceNames].map(normalize))]
+    }));
+    trigrams = new Map();
+    index.forEach((entry, pos) => {
+        for (const key of entry.keys) {
+            for (const gram of trigramsOf(key)) {
+                if (!trigrams.has(gram)) trigrams.set(gram, new Set());
+                trigrams.get(gram).add(pos);
+            }
+        }
+    });
+    indexedCount = count;
+}
+
+/**
+ * Scores one normalized name against a normalized query. Returns 0 for no match.
+ * @param {string} query
+ * @param {string} key - Normalized card or face name.
+ * @param {Set<string>} queryGrams - trigramsOf(query), computed once per search.
+ */
+function scoreKey(query, key, queryGrams) {
+    if (key === query) return 100;
+    if (key.startsWith(query)) return 90 + 5 * (query.length / key.length);
+    if (key.split(' ').some(word => word.startsWith(query))) return 80 + 5 * (query.length / key.length);
+    if (key.includes(query)) return 70;
+
+    // Typos: compare against the whole name and against the part typed so far.
+    const allowed = Math.max(1, Math.floor(query.length / 4));
+    const dist = Math.min(
+        editDistance(query, key),
+        editDistance(query, key.slice(0, query.length))
+    );
+    if (query.length >= 3 && dist <= allowed) return 60 - 10 * dist;
+
+    // Loose overlap (Dice coefficient of trigrams) for badly mangled names.
+    const keyGrams = trigramsOf(key);
+    let shared = 0;
+    for (const gram of queryGrams) if (keyGrams.has(gram)) shared++;
+    const dice = (2 * shared) / (queryGrams.size + keyGrams.size);
+    return dice >= 0.45 ? 40 * dice : 0;
+}
+
+/**
+ * Searches card names.
+ * @param {string} rawQuery - What the player typed.
+ * @param {{ page?: number, pageSize?: number }} [options] - 1-based page.
+ * @returns {{ total: number, results: Array<{ oracleId: string, name: string, score: number }> }}
+ *   `results` is only the requested page; `total` counts every match.
+ */
+function searchCards(rawQuery, { page = 1, pageSize = 10 } = {}) {
+    const query = normalize(rawQuery);
+    if (!query) return { total: 0, results: [] };
+    ensureIndex();
+
+    // Short queries can't use trigrams or edit distance, so scan every name.
+    // Otherwise only score names sharing at least a quarter of the query's trigrams.
+    const queryGrams = trigramsOf(query);
+    let candidates;
+    if (query.length < 3) {
+        candidates = index.keys();
+    } else {
+        const shared = new Map();
+        for (const gram of queryGrams) {
+            for (const pos of trigrams.get(gram) || []) shared.set(pos, (shared.get(pos) || 0) + 1);
+        }
+        const minShared = Math.ceil(queryGrams.size / 4);
+        candidates = [...shared].filter(([, n]) => n >= minShared).map(([pos]) => pos);
+    }
+
+    const matches = [];
+    for (const pos of candidates) {
+        const entry = index[pos];
+        const score = Math.max(...entry.keys.map(key => scoreKey(query, key, queryGrams)));
+        if (score > 0) matches.push({ oracleId: entry.oracleId, name: entry.name, score });
+    }
+
+    matches.sort((a, b) =>
+        b.score - a.score ||
+        a.name.localeCompare(b.name) ||
+        a.oracleId.localeCompare(b.oracleId)
+    );
+
+    const start = (page - 1) * pageSize;
+    return { total: matches.length, results: matches.slice(start, start + pageSize) };
+}
+
+module.exports = {
+    searchCards,
+    normalize
+};
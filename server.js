@@ -1,19 +1,39 @@
 /**
  * MTGDoku Backend Server
  *
- * Serves one daily puzzle per calendar day (UTC), stored in SQLite. The frontend
+ * Serves one daily puzzle per puzzle day (see calendar.js), stored in SQLite. The frontend
  * fetches the board from GET /api/board (optionally ?date=YYYY-MM-DD) and
- * validates guesses using Scryfall card data.
+ * submits guesses to POST /api/guess, which checks them against the local
+ * card tables. The search modal uses GET /api/cards/search over the same data.
+ * Puzzles can also be written and scheduled ahead of time through the
+ * token-protected /api/admin routes (admin.html). GET /api/practice hands out
+ * unsaved boards for practice mode. /api/rooms runs two-player head-to-head
+ * games (rooms.js), pushed to both players over server-sent events.
  */
 
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const db = require('./db');
+const search = require('./search');
+const players = require('./players');
+const rarity = require('./rarity');
+const admin = require('./admin');
+const puzzles = require('./puzzles');
+const calendar = require('./calendar');
+const criteria = require('./js/criteria');
+const rules = require('./js/rules');
+const rooms = require('./rooms');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Most entries GET /api/leaderboard returns for one date.
+const LEADERBOARD_SIZE = 100;
+
+// Longest date range GET /api/puzzles returns at once (a calendar month view is at most 42 days).
+const ARCHIVE_PAGE_DAYS = 62;
+
 // Allow frontend on GitHub Pages (e.g. https://username.github.io) and local dev
 app.use(cors({
     origin: [
@@ -26,204 +46,831 @@ app.use(cors({
     optionsSuccessStatus: 200
 }));
 
+app.use(express.json());
+
 // Initialize DB on startup (creates mtgdoku.db and puzzles table if needed)
 db.init();
 
+if (!puzzles.PUZZLE_SECRET) {
+    console.warn('PUZZLE_SECRET is not set: anyone with the source can generate upcoming boards');
+}
+if (!puzzles.CARD_DATA_VERSION) {
+    console.warn('CARD_DATA_VERSION is not set: a lost database rebuilt from other card data gets different past puzzles');
+}
+
 // =====================
-// Criteria pools
+// Card helpers
 // =====================
-// Each criterion has a display name and a code the frontend uses to validate
-// cards (e.g. "c:u" = blue color, "type:creature" = creature type).
-
-/** MTG color identity: cards that are at least this color. */
-const allColors = [
-    { name: 'White Cards', code: 'c:w' },
-    { name: 'Blue Cards', code: 'c:u' },
-    { name: 'Black Cards', code: 'c:b' },
-    { name: 'Red Cards', code: 'c:r' },
-    { name: 'Green Cards', code: 'c:g' }
-];
-
-/** Card type (creature, instant, etc.). */
-const allTypes = [
-    { name: 'Creatures', code: 'type:creature' },
-    { name: 'Instants', code: 'type:instant' },
-    { name: 'Sorceries', code: 'type:sorcery' },
-    { name: 'Enchantments', code: 'type:enchantment' },
-    { name: 'Artifacts', code: 'type:artifact' }
-];
-
-/** Converted mana cost (CMC) ranges. */
-const allCMCs = [
-    { name: 'Mana Value <= 2', code: 'mv<=2' },
-    { name: 'Mana Value 3', code: 'mv=3' },
-    { name: 'Mana Value 4', code: 'mv=4' },
-    { name: 'Mana Value >= 5', code: 'mv>=5' }
-];
-
-/** Release year ranges (from Scryfall released_at). */
-const allYears = [
-    { name: 'Released Pre-2000', code: 'year<2000' },
-    { name: 'Released 2000-2009', code: 'year>=2000 year<=2009' },
-    { name: 'Released 2010-2019', code: 'year>=2010 year<=2019' },
-    { name: 'Released 2020+', code: 'year>=2020' }
-];
+
+/** Year of a card's first printing (null if no printing has a date). */
+function firstYear(card) {
+    const date = card.firstReleasedAt || card.released_at;
+    return date ? parseInt(date.slice(0, 4), 10) : null;
+}
 
 // =====================
-// Board generation helpers
+// HTTP routes
 // =====================
 
 /**
- * Randomly shuffles an array in place (Fisher–Yates).
- * Used to pick random row/column criteria for each new board.
+ * GET /api/today — the current puzzle day, so every client agrees on it.
+ * Response: { date, number, nextPuzzleAt, serverTime } (see calendar.describeToday).
  */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-}
+app.get('/api/today', (req, res) => {
+    res.json(calendar.describeToday());
+});
 
 /**
- * Returns true if a single card could satisfy both criteria at once.
- * Prevents impossible cells (e.g. "Mana Value 3" row vs "Mana Value 4" column).
- *
- * Rules:
- * - Different categories (color vs type, etc.) → compatible.
- * - Same color → compatible (multicolor exists).
- * - Same CMC or year range → incompatible (ranges are exclusive).
- * - Type: instant/sorcery are exclusive; creature/artifact/enchantment can overlap.
- */
-function areCriteriaCompatible(critA, critB) {
-    // Which category this criterion belongs to (color, type, cmc, year)
-    const getCat = (c) => {
-        if (c.code.startsWith('c:')) return 'color';
-        if (c.code.startsWith('type:')) return 'type';
-        if (c.code.startsWith('mv')) return 'cmc';
-        if (c.code.startsWith('year')) return 'year';
-        return 'unknown';
-    };
+ * GET /api/puzzles — the archive: puzzles out so far, one date range at a time.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive). `to` defaults to the current
+ * puzzle day and `from` to 30 days before `to`; ranges longer than
+ * ARCHIVE_PAGE_DAYS are refused (400). Future dates and dates before the
+ * first puzzle are left out, so scheduled puzzles stay hidden.
+ * Only stored puzzles are listed: a day nobody has opened yet may be missing,
+ * but every date from `first` to `today.date` can still be played.
+ * Response: { from, to, first, today, puzzles: [{ date, number, rowCriteria, colCriteria,
+ *   rows, cols, difficulty, format, rules }] }. Criteria are names only; `first` is the earliest
+ *   playable date (calendar.FIRST_PUZZLE).
+ */
+app.get('/api/puzzles', (req, res) => {
+    try {
+        const today = calendar.describeToday();
+        const to = req.query.to || today.date;
+        const from = req.query.from || calendar.addDays(to, -30);
+        if (!calendar.isCalendarDate(from) || !calendar.isCalendarDate(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (calendar.addDays(from, ARCHIVE_PAGE_DAYS) <= to) {
+            return res.status(400).json({ error: `Date ranges can be at most ${ARCHIVE_PAGE_DAYS} days` });
+        }
 
-    const catA = getCat(critA);
-    const catB = getCat(critB);
+        const first = calendar.FIRST_PUZZLE;
+        const names = list => list.map(c => c.name);
+        const archived = db.getPuzzlesBetween(from, to < today.date ? to : today.date)
+            .filter(p => p.date >= first)
+            .map(p => ({
+                date: p.date,
+                number: calendar.puzzleNumber(p.date),
+                rowCriteria: names(p.rowCriteria),
+                colCriteria: names(p.colCriteria),
+                rows: p.rows,
+                cols: p.cols,
+                difficulty: puzzles.describeDifficulty(p.difficulty),
+                format: p.format ? { code: p.format, name: criteria.FORMATS[p.format] } : null,
+                rules: rules.get(p.rules).id
+            }));
+        res.json({ from, to, first, today, puzzles: archived });
+    } catch (err) {
+        console.error('Archive error:', err);
+        res.status(500).json({ error: 'Failed to load puzzles' });
+    }
+});
 
-    if (catA !== catB) return true;  // e.g. "Blue" + "Creatures" is fine
+/**
+ * GET /api/board — returns the puzzle for the given date (or the current puzzle day).
+ * Query: ?date=YYYY-MM-DD (optional). Same date always returns the same puzzle.
+ * Dates must pass calendar.checkPuzzleDate: 400 for a malformed or impossible date,
+ * 404 for a date after the current puzzle day or before the first puzzle; the body is { error, reason }.
+ * Invalid or missing stored puzzles are regenerated (aiming for that weekday's
+ * difficulty band and format) and overwritten. Older puzzles without answer
+ * counts get them filled in once cards are imported.
+ * Response: { rowCriteria, colCriteria, rows, cols, date, number, difficulty: { score, label } | null,
+ *   format: { code, name } | null, rules, today }. `rows` × `cols` is the grid's size (usually 3 × 3) and
+ *   `rules` the rule set id (js/rules.js). `number` is the puzzle's sequential number,
+ *   `format` the format every answer must be legal in, and `today` is GET /api/today's
+ *   answer (for the countdown and to tell whether this is the current puzzle).
+ */
+app.get('/api/board', (req, res) => {
+    try {
+        const today = calendar.describeToday();
+        const dateStr = req.query.date === undefined ? today.date : req.query.date;
+        const refused = calendar.checkPuzzleDate(dateStr);
+        if (refused) return res.status(refused.status).json({ error: refused.error, reason: refused.reason });
 
-    if (catA === 'color') return true;   // Multicolor cards can match multiple
-    if (catA === 'cmc') return false;   // A card has one CMC
-    if (catA === 'year') return false;  // A card has one release year
+        let board = db.getPuzzle(dateStr);
+        if (!puzzles.isValidBoard(board)) {
+            board = puzzles.generatePuzzle(dateStr);
+            db.savePuzzle(dateStr, board);
+        } else if (board.difficulty === null && puzzles.getCardPool().length > 0) {
+            Object.assign(board, puzzles.analyzeBoard(board.rowCriteria, board.colCriteria, board.format));
+            db.savePuzzle(dateStr, board);
+        }
 
-    if (catA === 'type') {
-        // Instant/Sorcery can't also be Creature etc.; other types can overlap (e.g. Artifact Creature)
-        const isExclusive = (code) => code.includes('instant') || code.includes('sorcery');
-        if (isExclusive(critA.code) || isExclusive(critB.code)) return false;
-        return true;
+        res.json({
+            rowCriteria: board.rowCriteria,
+            colCriteria: board.colCriteria,
+            rows: board.rowCriteria.length,
+            cols: board.colCriteria.length,
+            date: dateStr,
+            number: calendar.puzzleNumber(dateStr),
+            difficulty: puzzles.describeDifficulty(board.difficulty),
+            format: board.format ? { code: board.format, name: criteria.FORMATS[board.format] } : null,
+            rules: rules.get(board.rules).id,
+            today
+        });
+    } catch (err) {
+        console.error('Board error:', err);
+        res.status(500).json({ error: 'Failed to load board' });
     }
+});
 
-    return true;
-}
+/**
+ * GET /api/practice — an unsaved practice board, random or rebuilt from a seed.
+ * Query: ?seed=<seed> (optional; 1–32 letters, digits, "_" or "-") and
+ * ?size=2–5 (optional, default 3; the board is size × size) and ?rules=<rule set id>
+ * (optional, default classic; the rules don't change the board). Without a seed a
+ * random one is picked. The same seed and size always give the same board, so
+ * players can share it; 400 for a malformed seed or size or an unknown rule set.
+ * Response: { seed, size, rows, cols, rowCriteria, colCriteria,
+ *   difficulty: { score, label } | null, format: null, rules }.
+ */
+app.get('/api/practice', (req, res) => {
+    try {
+        const seed = req.query.seed === undefined ? puzzles.randomPracticeSeed() : req.query.seed;
+        if (!puzzles.isPracticeSeed(seed)) {
+            return res.status(400).json({ error: 'Invalid practice seed' });
+        }
+        const size = req.query.size === undefined ? 3 : Number(req.query.size);
+        if (!puzzles.isGridSize(size)) {
+            return res.status(400).json({ error: `Practice boards are ${puzzles.MIN_GRID_SIZE}–${puzzles.MAX_GRID_SIZE} cells a side` });
+        }
+        const ruleSet = req.query.rules === undefined ? rules.DEFAULT_RULES : req.query.rules;
+        if (!rules.isRuleSet(ruleSet)) {
+            return res.status(400).json({ error: 'Unknown rule set' });
+        }
+        const board = puzzles.generatePractice(seed, size);
+        res.json({
+            seed,
+            size,
+            rows: size,
+            cols: size,
+            rowCriteria: board.rowCriteria,
+            colCriteria: board.colCriteria,
+            difficulty: puzzles.describeDifficulty(board.difficulty),
+            format: null,
+            rules: ruleSet
+        });
+    } catch (err) {
+        console.error('Practice error:', err);
+        res.status(500).json({ error: 'Failed to generate a practice board' });
+    }
+});
 
 /**
- * Builds one puzzle board: 3 row criteria and 3 column criteria such that
- * every row/column pair is compatible (so each cell has at least one valid card).
- * Returns { rowCriteria, colCriteria } for the frontend.
- */
-function generateBoard() {
-    const allCriteria = [
-        ...allColors,
-        ...allTypes,
-        ...allCMCs,
-        ...allYears
-    ];
-
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    while (attempts < maxAttempts) {
-        attempts++;
-        const shuffled = shuffleArray(allCriteria);
-        const rows = shuffled.slice(0, 3);
-        const cols = [];
-
-        // Find 3 column criteria that are compatible with every row (so each cell is solvable).
-        for (let i = 3; i < shuffled.length; i++) {
-            const candidate = shuffled[i];
-            let compatible = true;
-            for (const row of rows) {
-                if (!areCriteriaCompatible(candidate, row)) {
-                    compatible = false;
-                    break;
-                }
+ * POST /api/guess — checks one guess against the stored puzzle.
+ * Body: { date: "YYYY-MM-DD", cell: row-major index (0–8 on a 3 × 3 board), cardId: Scryfall id },
+ * or { seed, size, cell, cardId } for a practice board (size defaults to 3). Practice guesses are checked the
+ * same way but never recorded, so `pick` and `game` are always null for them.
+ * Response: { correct, rowMatch, colMatch, formatMatch, failed: [{ axis, name, code }], card, pick }.
+ * `failed` lists the criteria the card did not meet (axis "format" when it isn't
+ * legal in the puzzle's format); `card` is the server's copy for display.
+ * Correct answers from a player's recorded game count toward the cell's picks, and
+ * `pick` ({ count, total, percent }) says how many players chose this card for the
+ * cell (null for wrong guesses, and while no answer in the cell has counted yet).
+ * With a player token (Authorization: Bearer …) the guess also counts toward that
+ * player's game under the puzzle's rule set, and `game` is { recorded, finished, won }
+ * (null without a token). Under the no-repeats rules a card that already answers
+ * another of the player's recorded cells is refused with 409 before it is checked,
+ * unless the guess won't be recorded (a replay after Reset Puzzle or Play Again).
+ * The date must pass calendar.checkPuzzleDate, so scheduled future puzzles can't be probed.
+ * 503 while no card data has been imported (npm run import-cards).
+ */
+app.post('/api/guess', (req, res) => {
+    try {
+        const { date, seed, size = 3, cell, cardId } = req.body || {};
+        const practice = seed !== undefined;
+        if (practice && (!puzzles.isPracticeSeed(seed) || !puzzles.isGridSize(size))) {
+            return res.status(400).json({ error: 'Invalid practice seed' });
+        }
+        const refused = practice ? null : calendar.checkPuzzleDate(date);
+        if (refused) return res.status(refused.status).json({ error: refused.error, reason: refused.reason });
+        if (typeof cardId !== 'string' || !cardId) {
+            return res.status(400).json({ error: 'Invalid card id' });
+        }
+
+        const board = practice ? puzzles.generatePractice(seed, size) : db.getPuzzle(date);
+        if (!puzzles.isValidBoard(board)) {
+            return res.status(404).json({ error: 'No puzzle for that date' });
+        }
+        const cellCount = board.rowCriteria.length * board.colCriteria.length;
+        if (!Number.isInteger(cell) || cell < 0 || cell >= cellCount) {
+            return res.status(400).json({ error: 'Invalid cell' });
+        }
+
+        // Without imported card data every card would look unknown; say what's actually wrong.
+        if (db.countCards() === 0) {
+            return res.status(503).json({ error: 'Card data has not been imported yet' });
+        }
+        const card = db.getCard(cardId);
+        if (!card) {
+            return res.status(404).json({ error: 'Unknown card' });
+        }
+
+        const player = practice ? null : players.authenticate(req);
+        const ruleSet = rules.get(board.rules);
+        if (player && ruleSet.uniqueCards) {
+            // Replays after a reset aren't recorded, so only the browser's own board applies to them.
+            const state = players.getGameState(player.id, date, ruleSet, cellCount);
+            if (players.countsGuess(state, cell) && state.cells.some((c, i) => i !== cell && c.answer === card.oracleId)) {
+                return res.status(409).json({ error: 'That card already answers another cell' });
             }
-            if (compatible) cols.push(candidate);
-            if (cols.length === 3) break;
         }
 
-        if (cols.length === 3) {
-            return { rowCriteria: rows, colCriteria: cols };
+        const { row: rowCrit, col: colCrit } = puzzles.criteriaForCell(board, cell);
+        const rowMatch = puzzles.checkSingleCriteria(card, rowCrit);
+        const colMatch = puzzles.checkSingleCriteria(card, colCrit);
+
+        const formatCrit = board.format ? puzzles.formatCriterion(board.format) : null;
+        const formatMatch = puzzles.checkSingleCriteria(card, formatCrit);
+
+        const failed = [];
+        if (!rowMatch) failed.push({ axis: 'row', name: rowCrit.name, code: rowCrit.code });
+        if (!colMatch) failed.push({ axis: 'col', name: colCrit.name, code: colCrit.code });
+        if (!formatMatch) failed.push({ axis: 'format', name: formatCrit.name, code: formatCrit.code });
+
+        const correct = rowMatch && colMatch && formatMatch;
+        if (practice) {
+            return res.json({ correct, rowMatch, colMatch, formatMatch, failed, card, pick: null, game: null });
+        }
+
+        let game = null;
+        let countPick = false;  // Only a player's recorded guess counts, so anonymous or replayed posts can't skew the percentages
+        if (player) {
+            const { recorded, state } = players.recordGuess(player.id, date, cell, card.oracleId, correct, ruleSet, cellCount);
+            game = { recorded, finished: state.finished, won: state.won };
+            countPick = recorded;
+        }
+
+        let pick = null;
+        if (correct) {
+            if (countPick) db.recordAnswer(date, cell, card.oracleId);
+            const stats = rarity.pickStats(date, cell, card.oracleId);
+            pick = stats.total ? stats : null;
         }
+
+        res.json({ correct, rowMatch, colMatch, formatMatch, failed, card, pick, game });
+    } catch (err) {
+        console.error('Guess error:', err);
+        res.status(500).json({ error: 'Failed to check guess' });
     }
+});
 
-    // Fallback if we couldn't find a conflict-free board: use first 6 criteria.
-    // Some cells may be impossible; frontend still accepts any valid card per cell.
-    const shuffled = shuffleArray(allCriteria);
-    return {
-        rowCriteria: shuffled.slice(0, 3),
-        colCriteria: shuffled.slice(3, 6)
-    };
+/**
+ * POST /api/players — creates an anonymous player.
+ * Response (201): { id, token }. The browser keeps the token and sends it as
+ * "Authorization: Bearer <token>"; it can't be recovered later.
+ */
+app.post('/api/players', (req, res) => {
+    try {
+        res.status(201).json(players.createPlayer());
+    } catch (err) {
+        console.error('Player error:', err);
+        res.status(500).json({ error: 'Failed to create player' });
+    }
+});
+
+/** GET /api/players/me — the current player's { id, username }. 401 without a valid token. */
+app.get('/api/players/me', (req, res) => {
+    const player = players.authenticate(req);
+    if (!player) return res.status(401).json({ error: 'Unknown player' });
+    res.json(player);
+});
+
+/**
+ * PUT /api/players/me/username — claims a username. Body: { username }.
+ * 400 if it isn't 3–20 letters/digits/_/-, 409 if someone else has it.
+ */
+app.put('/api/players/me/username', (req, res) => {
+    try {
+        const player = players.authenticate(req);
+        if (!player) return res.status(401).json({ error: 'Unknown player' });
+
+        const username = (req.body || {}).username;
+        if (!players.isValidUsername(username)) {
+            return res.status(400).json({ error: 'Usernames are 3–20 letters, numbers, _ or -' });
+        }
+
+        db.setUsername(player.id, username);
+        res.json({ id: player.id, username });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'That username is taken' });
+        }
+        console.error('Username error:', err);
+        res.status(500).json({ error: 'Failed to set username' });
+    }
+});
+
+/**
+ * GET /api/players/me/stats — lifetime stats from the player's finished games.
+ * Response: { id, username, gamesPlayed, wins, losses, winPercent, currentStreak, maxStreak,
+ *   averageGuesses, guessDistribution: [{ label, count }], categories: [{ name, attempts, solved, rate }] }.
+ */
+app.get('/api/players/me/stats', (req, res) => {
+    try {
+        const player = players.authenticate(req);
+        if (!player) return res.status(401).json({ error: 'Unknown player' });
+        res.json({ ...player, ...players.getStats(player.id, calendar.currentPuzzleDate()) });
+    } catch (err) {
+        console.error('Stats error:', err);
+        res.status(500).json({ error: 'Failed to load stats' });
+    }
+});
+
+/**
+ * GET /api/rarity — current pick percentages for a player's answers, plus a rarity score.
+ * Query: ?date=YYYY-MM-DD&picks=<id>,<id>,… (one slot per cell of that date's board,
+ * row-major; empty slot = unsolved). The date must pass calendar.checkPuzzleDate, like
+ * GET /api/board; 404 if the date has no puzzle.
+ * Response: { date, cells: [{ count, total, percent } | null], score }.
+ * Score is the sum of the percentages with unsolved cells counted as 100 — lower is rarer.
+ */
+app.get('/api/rarity', (req, res) => {
+    try {
+        const date = req.query.date;
+        const refused = calendar.checkPuzzleDate(date);
+        if (refused) return res.status(refused.status).json({ error: refused.error, reason: refused.reason });
+        const board = db.getPuzzle(date);
+        if (!puzzles.isValidBoard(board)) {
+            return res.status(404).json({ error: 'No puzzle for that date' });
+        }
+        const cellCount = board.rows * board.cols;
+        const picks = typeof req.query.picks === 'string' ? req.query.picks.split(',') : [];
+        if (picks.length !== cellCount) {
+            return res.status(400).json({ error: `picks must list ${cellCount} cells` });
+        }
+
+        const oracleIds = picks.map(id => {
+            const card = id ? db.getCard(id) : null;
+            return card ? card.oracleId : null;
+        });
+
+        res.json({ date, ...rarity.rarityScore(date, oracleIds) });
+    } catch (err) {
+        console.error('Rarity error:', err);
+        res.status(500).json({ error: 'Failed to load rarity' });
+    }
+});
+
+/**
+ * GET /api/leaderboard — ranked finished games for one puzzle date (top 100).
+ * Query: ?date=YYYY-MM-DD (defaults to the current puzzle day).
+ * Response: { date, cells, entries: [{ rank, name, isYou, won, solvedCells, totalGuesses, rarityScore, seconds }] }.
+ * `cells` is the number of cells on that date's board (null if it has no puzzle).
+ * Send the player's bearer token to have their own row marked isYou.
+ * The date must pass calendar.checkPuzzleDate (400 / 404 with { error, reason }), like GET /api/board.
+ */
+app.get('/api/leaderboard', (req, res) => {
+    try {
+        const date = req.query.date || calendar.currentPuzzleDate();
+        const refused = calendar.checkPuzzleDate(date);
+        if (refused) return res.status(refused.status).json({ error: refused.error, reason: refused.reason });
+        const player = players.authenticate(req);
+        const entries = players.getLeaderboard(date, player ? player.id : null, LEADERBOARD_SIZE);
+        const puzzle = db.getPuzzle(date);
+        res.json({ date, cells: puzzle ? puzzle.rows * puzzle.cols : null, entries });
+    } catch (err) {
+        console.error('Leaderboard error:', err);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+/**
+ * GET /api/cards/search — typo-tolerant card name search over the local card tables.
+ * Query: ?q=<text>&page=1&pageSize=10 (pageSize capped at 50).
+ * Response: { query, page, pageSize, total, cards: [{ id, oracleId, name, type, manaCost, firstYear, imageUrl, thumbUrl }] }.
+ * `firstYear` is the year of the card's first printing (what year criteria check).
+ */
+app.get('/api/cards/search', (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.slice(0, 100) : '';
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const pageSize = Math.min(50, Math.max(1, parseInt(req.query.pageSize, 10) || 10));
+
+        const { total, results } = search.searchCards(query, { page, pageSize });
+        const cards = results.map(r => {
+            const card = db.getCard(r.oracleId);
+            return {
+                id: card.id,
+                oracleId: card.oracleId,
+                name: card.name,
+                type: card.type,
+                manaCost: card.manaCost,
+                firstYear: firstYear(card),
+                imageUrl: card.imageUrl,
+                thumbUrl: card.images[0] ? card.images[0].small : null
+            };
+        });
+
+        res.json({ query, page, pageSize, total, cards });
+    } catch (err) {
+        console.error('Search error:', err);
+        res.status(500).json({ error: 'Failed to search cards' });
+    }
+});
+
+// =====================
+// Head-to-head rooms
+// =====================
+// Two-player tic-tac-doku games (rooms.js), played from index.html?room=<code>.
+// Each seat's token comes back from create/join and is sent as
+// "Authorization: Bearer <token>" (or ?token= on the event stream).
+
+/** The seat ('X' or 'O') whose token the request carries in `room`, or null. */
+function roomSeat(req, room) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer ([a-f0-9]{48})$/);
+    const token = match ? match[1] : req.query.token;
+    return typeof token === 'string' ? rooms.seatFor(room, token) : null;
 }
 
+/**
+ * POST /api/rooms — opens a room on a random 3 × 3 practice board.
+ * Body: { name? } (a valid username, else "Player X"). Response (201): { code, seat: "X", token }.
+ * 503 when the server already has too many rooms open.
+ */
+app.post('/api/rooms', (req, res) => {
+    try {
+        if (!rooms.hasCapacity()) {
+            return res.status(503).json({ error: 'Too many games are running. Try again in a few minutes.' });
+        }
+        const { room, seat, token } = rooms.createRoom((req.body || {}).name);
+        res.status(201).json({ code: room.code, seat, token });
+    } catch (err) {
+        console.error('Room create error:', err);
+        res.status(500).json({ error: 'Failed to create room' });
+    }
+});
+
+/**
+ * POST /api/rooms/:code/join — takes the second seat and starts the game.
+ * Body: { name? }. Response: { code, seat: "O", token }; 404 for an unknown
+ * code, 409 if the room is already full or over.
+ */
+app.post('/api/rooms/:code/join', (req, res) => {
+    try {
+        const room = rooms.getRoom(req.params.code);
+        if (!room) return res.status(404).json({ error: 'No room with that code' });
+        if (room.status !== 'waiting') return res.status(409).json({ error: 'That room is already full' });
+        const { seat, token } = rooms.joinRoom(room, (req.body || {}).name);
+        res.json({ code: room.code, seat, token });
+    } catch (err) {
+        console.error('Room join error:', err);
+        res.status(500).json({ error: 'Failed to join room' });
+    }
+});
+
+/** GET /api/rooms/:code — a room's public state (rooms.publicState), or 404. */
+app.get('/api/rooms/:code', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) return res.status(404).json({ error: 'No room with that code' });
+    res.json(rooms.publicState(room));
+});
+
+/**
+ * GET /api/rooms/:code/events?token=<seat token> — server-sent events for one
+ * seat. Sends the state straight away and again as a "state" event after every
+ * change. Closing the stream starts the seat's disconnect grace period.
+ */
+app.get('/api/rooms/:code/events', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) return res.status(404).json({ error: 'No room with that code' });
+    const seat = roomSeat(req, room);
+    if (!seat) return res.status(403).json({ error: 'You don\'t have a seat in this room' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    rooms.connect(room, seat, res);
+    req.on('close', () => rooms.disconnect(room, seat, res));
+});
+
+/**
+ * POST /api/rooms/:code/moves — plays a card into a cell on your turn.
+ * Body: { cell: 0–8, cardId: Scryfall id }. The card is checked against the
+ * cell's row and column like /api/guess: a match claims the cell, a miss just
+ * passes the turn, and either way the card can't be played again this game.
+ * Response: { correct, rowMatch, colMatch, failed, card, state }. 403 without
+ * a seat, 409 when it isn't your turn, the game isn't on, the cell is taken or
+ * the card was already played.
+ */
+app.post('/api/rooms/:code/moves', (req, res) => {
+    try {
+        const room = rooms.getRoom(req.params.code);
+        if (!room) return res.status(404).json({ error: 'No room with that code' });
+        const seat = roomSeat(req, room);
+        if (!seat) return res.status(403).json({ error: 'You don\'t have a seat in this room' });
+        if (room.status !== 'playing') return res.status(409).json({ error: 'The game isn\'t in progress' });
+        if (room.turn !== seat) return res.status(409).json({ error: 'It\'s not your turn' });
+
+        const { cell, cardId } = req.body || {};
+        if (!Number.isInteger(cell) || cell < 0 || cell >= room.cells.length) {
+            return res.status(400).json({ error: 'Invalid cell' });
+        }
+        if (room.cells[cell].owner) return res.status(409).json({ error: 'That cell is already taken' });
+        if (typeof cardId !== 'string' || !cardId) {
+            return res.status(400).json({ error: 'Invalid card id' });
+        }
+        const card = db.getCard(cardId);
+        if (!card) return res.status(404).json({ error: 'Unknown card' });
+        if (rooms.isCardUsed(room, card.oracleId)) {
+            return res.status(409).json({ error: 'That card has already been played this game' });
+        }
+
+        const { row: rowCrit, col: colCrit } = puzzles.criteriaForCell(room, cell);
+        const rowMatch = puzzles.checkSingleCriteria(card, rowCrit);
+        const colMatch = puzzles.checkSingleCriteria(card, colCrit);
+        const failed = [];
+        if (!rowMatch) failed.push({ axis: 'row', name: rowCrit.name, code: rowCrit.code });
+        if (!colMatch) failed.push({ axis: 'col', name: colCrit.name, code: colCrit.code });
+
+        rooms.playMove(room, seat, cell, card, rowMatch, colMatch);
+        res.json({ correct: rowMatch && colMatch, rowMatch, colMatch, failed, card, state: rooms.publicState(room) });
+    } catch (err) {
+        console.error('Room move error:', err);
+        res.status(500).json({ error: 'Failed to play move' });
+    }
+});
+
+/** POST /api/rooms/:code/leave — gives up: the other seat wins (a room nobody joined just closes). 204. */
+app.post('/api/rooms/:code/leave', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) return res.status(404).json({ error: 'No room with that code' });
+    const seat = roomSeat(req, room);
+    if (!seat) return res.status(403).json({ error: 'You don\'t have a seat in this room' });
+    rooms.forfeit(room, seat);
+    res.status(204).end();
+});
+
 // =====================
-// HTTP routes
+// Admin routes
 // =====================
+// Curating and scheduling puzzles. Every /api/admin route needs
+// "Authorization: Bearer <ADMIN_TOKEN>" and is disabled without ADMIN_TOKEN.
+// A date that anyone has guessed on is locked: its puzzle can't be replaced or removed.
+
+// Most puzzles GET /api/admin/puzzles lists at once.
+const ADMIN_QUEUE_SIZE = 60;
+
+app.use('/api/admin', (req, res, next) => {
+    if (!admin.isEnabled()) return res.status(503).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+    if (!admin.authenticate(req)) return res.status(401).json({ error: 'Invalid admin token' });
+    next();
+});
+
+/**
+ * Checks a board an admin wrote: 2–5 row and 2–5 column criteria (any shape,
+ * e.g. 3 × 4) with a name and a code that parses, a known format (or none), a
+ * known rule set (classic when none is given), no criterion used twice, and
+ * no cell that can never match. With cards imported, a cell with no answers is
+ * an error and one with fewer than MIN_CELL_ANSWERS is a warning.
+ * @returns {{ board: Object, errors: string[], warnings: string[] }} board has
+ *   trimmed criteria plus cellCounts and difficulty when the board is usable.
+ */
+function reviewBoard({ rowCriteria, colCriteria, format = null, rules: ruleSet = rules.DEFAULT_RULES } = {}) {
+    const errors = [];
+    const warnings = [];
+    const readAxis = (list, axis) => {
+        if (!Array.isArray(list) || !puzzles.isGridSize(list.length)) {
+            errors.push(`${axis} criteria must be a list of ${puzzles.MIN_GRID_SIZE}–${puzzles.MAX_GRID_SIZE}`);
+            return [];
+        }
+        return list.map((c, i) => {
+            const crit = { name: String((c && c.name) || '').trim(), code: String((c && c.code) || '').trim() };
+            if (!crit.name) errors.push(`${axis} ${i + 1} needs a name`);
+            try {
+                criteria.parse(crit.code);
+            } catch (err) {
+                errors.push(`${axis} ${i + 1}: ${err.message}`);
+            }
+            return crit;
+        });
+    };
+    const board = {
+        rowCriteria: readAxis(rowCriteria, 'Row'),
+        colCriteria: readAxis(colCriteria, 'Column'),
+        format: format || null,
+        rules: ruleSet,
+        cellCounts: null,
+        difficulty: null
+    };
+    if (board.format !== null && typeof board.format !== 'string') {
+        errors.push('Format must be a format name or null');
+        board.format = null;
+    } else if (board.format && !Object.prototype.hasOwnProperty.call(criteria.FORMATS, board.format)) {
+        errors.push(`Unknown format "${board.format}"`);
+    }
+    // The same criterion twice would repeat a row or column, or make a cell ask for it against itself.
+    const seen = new Set();
+    for (const crit of [...board.rowCriteria, ...board.colCriteria]) {
+        const key = crit.code.toLowerCase().replace(/\s+/g, ' ');
+        if (key && seen.has(key)) errors.push(`"${crit.code}" is used more than once`);
+        seen.add(key);
+    }
+    if (!rules.isRuleSet(board.rules)) {
+        errors.push(`Unknown rule set "${board.rules}"`);
+    }
+    if (errors.length) return { board, errors, warnings };
 
-/** True if the puzzle has exactly 3 row and 3 col criteria with name/code (rejects test or corrupt rows). */
-function isValidBoard(board) {
-    return board &&
-        Array.isArray(board.rowCriteria) && board.rowCriteria.length === 3 &&
-        Array.isArray(board.colCriteria) && board.colCriteria.length === 3 &&
-        board.rowCriteria.every(c => c && typeof c.name === 'string' && typeof c.code === 'string') &&
-        board.colCriteria.every(c => c && typeof c.name === 'string' && typeof c.code === 'string');
+    for (const row of board.rowCriteria) {
+        for (const col of board.colCriteria) {
+            if (!puzzles.areCriteriaCompatible(row, col)) errors.push(`"${row.name}" × "${col.name}" can never match`);
+        }
+    }
+    if (errors.length || puzzles.getCardPool().length === 0) return { board, errors, warnings };
+
+    Object.assign(board, puzzles.analyzeBoard(board.rowCriteria, board.colCriteria, board.format));
+    board.cellCounts.forEach((n, i) => {
+        const { row, col } = puzzles.criteriaForCell(board, i);
+        const cell = `"${row.name}" × "${col.name}"`;
+        if (n === 0) errors.push(`${cell} has no answers`);
+        else if (n < puzzles.MIN_CELL_ANSWERS) warnings.push(`${cell} has only ${n} answer${n === 1 ? '' : 's'}`);
+    });
+    return { board, errors, warnings };
+}
+
+/** A stored puzzle as the admin API returns it. */
+function adminPuzzleJson(date, puzzle) {
+    return {
+        date,
+        rowCriteria: puzzle.rowCriteria,
+        colCriteria: puzzle.colCriteria,
+        rows: puzzle.rows,
+        cols: puzzle.cols,
+        format: puzzle.format,
+        rules: rules.get(puzzle.rules).id,
+        cellCounts: puzzle.cellCounts,
+        difficulty: puzzles.describeDifficulty(puzzle.difficulty),
+        locked: db.isPuzzlePlayed(date)
+    };
 }
 
 /**
- * GET /api/board — returns the puzzle for the given date (or today in UTC).
- * Query: ?date=YYYY-MM-DD (optional). Same date always returns the same puzzle.
- * Invalid or missing stored puzzles are regenerated and overwritten.
- * Response: { rowCriteria, colCriteria, date }.
+ * GET /api/admin/puzzles — the scheduled queue, from a date onward.
+ * Query: ?from=YYYY-MM-DD (defaults to the current puzzle day).
+ * Response: { from, puzzles: [{ date, rowCriteria, colCriteria, rows, cols, format, rules, cellCounts, difficulty, locked }] }.
  */
-app.get('/api/board', (req, res) => {
+app.get('/api/admin/puzzles', (req, res) => {
     try {
-        const dateStr = (req.query.date && /^\d{4}-\d{2}-\d{2}$/.test(req.query.date))
-            ? req.query.date
-            : db.todayUTC();
-
-        let board = db.getPuzzle(dateStr);
-        if (!isValidBoard(board)) {
-            board = generateBoard();
-            db.savePuzzle(dateStr, board.rowCriteria, board.colCriteria);
+        const from = req.query.from || calendar.currentPuzzleDate();
+        if (!calendar.isCalendarDate(from)) {
+            return res.status(400).json({ error: 'Invalid date' });
         }
+        const scheduled = db.getPuzzlesFrom(from, ADMIN_QUEUE_SIZE).map(p => adminPuzzleJson(p.date, p));
+        res.json({ from, puzzles: scheduled });
+    } catch (err) {
+        console.error('Admin queue error:', err);
+        res.status(500).json({ error: 'Failed to load puzzles' });
+    }
+});
+
+/**
+ * GET /api/admin/puzzles/:date — one date's puzzle (or null) and its change history.
+ * Response: { date, puzzle, locked, audit: [{ id, action, actor, before, after, createdAt }] }.
+ */
+app.get('/api/admin/puzzles/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        if (!calendar.isCalendarDate(date)) return res.status(400).json({ error: 'Invalid date' });
+        const puzzle = db.getPuzzle(date);
+        res.json({
+            date,
+            puzzle: puzzle ? adminPuzzleJson(date, puzzle) : null,
+            locked: db.isPuzzlePlayed(date),
+            audit: db.getPuzzleAudit(date)
+        });
+    } catch (err) {
+        console.error('Admin puzzle error:', err);
+        res.status(500).json({ error: 'Failed to load puzzle' });
+    }
+});
 
+/**
+ * POST /api/admin/preview — checks a board without saving it.
+ * Body: { rowCriteria, colCriteria, format, rules } to review a hand-written board,
+ * or { date, rows?, cols? } to generate one the way that day would (band and
+ * format), optionally at another size than the daily 3 × 3.
+ * Response: { rowCriteria, colCriteria, rows, cols, format, rules, cellCounts, difficulty, errors, warnings }.
+ */
+app.post('/api/admin/preview', (req, res) => {
+    try {
+        const body = req.body || {};
+        let review;
+        if (!body.rowCriteria && !body.colCriteria) {
+            const date = body.date || calendar.currentPuzzleDate();
+            if (!calendar.isCalendarDate(date)) {
+                return res.status(400).json({ error: 'Invalid date' });
+            }
+            const size = { rows: body.rows, cols: body.cols };
+            if ((size.rows !== undefined && !puzzles.isGridSize(size.rows)) || (size.cols !== undefined && !puzzles.isGridSize(size.cols))) {
+                return res.status(400).json({ error: `Rows and columns must be ${puzzles.MIN_GRID_SIZE}–${puzzles.MAX_GRID_SIZE}` });
+            }
+            review = { board: puzzles.generatePuzzle(date, size), errors: [], warnings: [] };
+        } else {
+            review = reviewBoard(body);
+        }
+        const { board, errors, warnings } = review;
         res.json({
             rowCriteria: board.rowCriteria,
             colCriteria: board.colCriteria,
-            date: dateStr
+            rows: board.rowCriteria.length,
+            cols: board.colCriteria.length,
+            format: board.format,
+            rules: rules.get(board.rules).id,
+            cellCounts: board.cellCounts,
+            difficulty: puzzles.describeDifficulty(board.difficulty),
+            errors,
+            warnings
         });
     } catch (err) {
-        console.error('Board error:', err);
-        res.status(500).json({ error: 'Failed to load board' });
+        console.error('Admin preview error:', err);
+        res.status(500).json({ error: 'Failed to preview board' });
     }
 });
 
-/** GET /daily — serves the past-puzzles list page (today + previous 3 days). */
+/**
+ * PUT /api/admin/puzzles/:date — creates or replaces the puzzle for a date.
+ * Body: { rowCriteria: [{ name, code }] ×2–5, colCriteria: [{ name, code }] ×2–5, format: string | null,
+ *   rules: rule set id (optional, default classic) }.
+ * 201 when the date had no puzzle, 200 when it replaced one; 400 with `errors`
+ * if the board doesn't pass reviewBoard; 409 if the date has been played.
+ * Response: the saved puzzle plus `warnings`.
+ */
+app.put('/api/admin/puzzles/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        if (!calendar.isCalendarDate(date)) return res.status(400).json({ error: 'Invalid date' });
+        if (db.isPuzzlePlayed(date)) {
+            return res.status(409).json({ error: 'This puzzle has been played and can no longer be changed' });
+        }
+
+        const { board, errors, warnings } = reviewBoard(req.body || {});
+        if (errors.length) return res.status(400).json({ error: 'Invalid board', errors });
+
+        const existed = !!db.getPuzzle(date);
+        db.savePuzzle(date, board, 'admin');
+        res.status(existed ? 200 : 201).json({ ...adminPuzzleJson(date, db.getPuzzle(date)), warnings });
+    } catch (err) {
+        console.error('Admin save error:', err);
+        res.status(500).json({ error: 'Failed to save puzzle' });
+    }
+});
+
+/**
+ * DELETE /api/admin/puzzles/:date — unschedules a puzzle (the date is generated
+ * again the next time it's requested). 204 on success, 404 if there is none,
+ * 409 if the date has been played.
+ */
+app.delete('/api/admin/puzzles/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        if (!calendar.isCalendarDate(date)) return res.status(400).json({ error: 'Invalid date' });
+        if (db.isPuzzlePlayed(date)) {
+            return res.status(409).json({ error: 'This puzzle has been played and can no longer be removed' });
+        }
+        if (!db.deletePuzzle(date, 'admin')) return res.status(404).json({ error: 'No puzzle for that date' });
+        res.status(204).end();
+    } catch (err) {
+        console.error('Admin delete error:', err);
+        res.status(500).json({ error: 'Failed to delete puzzle' });
+    }
+});
+
+/** GET /daily — serves the archive page: a month calendar of every playable puzzle (from /api/puzzles). */
 app.get('/daily', (req, res) => {
     res.sendFile(path.join(__dirname, 'daily.html'));
 });
 
-/** Serve static assets (index.html, css/, js/) from the project root. */
-app.use(express.static(path.join(__dirname)));
+/** GET /leaderboard — serves the per-day leaderboard page. */
+app.get('/leaderboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'leaderboard.html'));
+});
+
+/** GET /versus — serves the head-to-head lobby (create or join a room). */
+app.get('/versus', (req, res) => {
+    res.sendFile(path.join(__dirname, 'versus.html'));
+});
+
+/** GET /admin — serves the puzzle admin page (it asks for the admin token). */
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// Pages the browser may load by file name; everything else in the project root
+// (mtgdoku.db, the server's own .js files) is never served.
+const PAGES = ['index.html', 'daily.html', 'leaderboard.html', 'versus.html', 'admin.html'];
+
+/** Serve the pages and the static assets in css/ and js/. */
+PAGES.forEach(page => {
+    app.get(`/${page}`, (req, res) => {
+        res.sendFile(path.join(__dirname, page));
+    });
+});
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
 
 /** Catch-all: serve index.html for any non-API route (e.g. deep links or refresh). */
 app.get('*', (req, res, next) => {
@@ -231,13 +878,19 @@ app.get('*', (req, res, next) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Ensure today's puzzle exists and is valid on startup (fixes test/corrupt data)
-const todayStr = db.todayUTC();
+// Ensure the current puzzle exists and is valid on startup (fixes test/corrupt data).
+// If no board can be made (e.g. too few cards imported), keep serving: GET /api/board
+// tries again on each request and reports the failure there.
+const todayStr = calendar.currentPuzzleDate();
 const existing = db.getPuzzle(todayStr);
-if (!existing || !isValidBoard(existing)) {
-    const board = generateBoard();
-    db.savePuzzle(todayStr, board.rowCriteria, board.colCriteria);
-    console.log('Seeded puzzle for', todayStr);
+if (!existing || !puzzles.isValidBoard(existing)) {
+    try {
+        const board = puzzles.generatePuzzle(todayStr);
+        db.savePuzzle(todayStr, board);
+        console.log('Seeded puzzle for', todayStr);
+    } catch (err) {
+        console.error(`Could not seed the puzzle for ${todayStr}:`, err.message);
+    }
 }
 
 app.listen(PORT, () => {
@@ -0,0 +1,98 @@
+/**
+ * MTGDoku — Puzzle day tests (calendar.js).
+ *
+ * Checks the day boundary at PUZZLE_ROLLOVER, date validation, puzzle numbers
+ * and which dates checkPuzzleDate lets players open. calendar.js reads its env
+ * when it loads, so each setting gets a fresh copy of the module.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CALENDAR = require.resolve('../calendar');
+
+/** Loads calendar.js with `env` set (undefined = unset), then restores the env. */
+function loadCalendar(env = {}) {
+    const saved = {};
+    for (const [key, value] of Object.entries(env)) {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    try {
+        delete require.cache[CALENDAR];
+        return require(CALENDAR);
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        delete require.cache[CALENDAR];
+    }
+}
+
+const at = (iso) => new Date(iso);
+
+test('isCalendarDate accepts real YYYY-MM-DD dates only', () => {
+    const calendar = loadCalendar();
+    for (const date of ['2026-01-01', '2026-02-28', '2024-02-29', '2026-12-31']) {
+        assert.equal(calendar.isCalendarDate(date), true, date);
+    }
+    for (const date of ['2026-02-30', '2026-02-29', '2026-13-45', '2026-00-10', '2026-04-31',
+        '2026-1-5', '26-01-05', '2026-01-05T00:00:00Z', ' 2026-01-05', '', null, 20260105]) {
+        assert.equal(calendar.isCalendarDate(date), false, String(date));
+    }
+});
+
+test('the puzzle day turns over at midnight UTC by default', () => {
+    const calendar = loadCalendar({ PUZZLE_ROLLOVER: undefined });
+    assert.equal(calendar.currentPuzzleDate(at('2026-03-04T23:59:59.999Z')), '2026-03-04');
+    assert.equal(calendar.currentPuzzleDate(at('2026-03-05T00:00:00.000Z')), '2026-03-05');
+    assert.equal(calendar.nextRollover(at('2026-03-04T12:00:00Z')).toISOString(), '2026-03-05T00:00:00.000Z');
+    assert.equal(calendar.currentPuzzleDate(at('2026-02-28T23:59:59Z')), '2026-02-28');
+    assert.equal(calendar.currentPuzzleDate(at('2026-03-01T00:00:00Z')), '2026-03-01');
+});
+
+test('PUZZLE_ROLLOVER moves the day boundary', () => {
+    const calendar = loadCalendar({ PUZZLE_ROLLOVER: '05:30' });
+    assert.equal(calendar.currentPuzzleDate(at('2026-03-05T05:29:59Z')), '2026-03-04');
+    assert.equal(calendar.currentPuzzleDate(at('2026-03-05T05:30:00Z')), '2026-03-05');
+    assert.equal(calendar.nextRollover(at('2026-03-05T02:00:00Z')).toISOString(), '2026-03-05T05:30:00.000Z');
+    assert.equal(calendar.nextRollover(at('2026-03-05T05:30:00Z')).toISOString(), '2026-03-06T05:30:00.000Z');
+
+    for (const value of ['5:30', '24:00', '12:60', 'noon']) {
+        assert.throws(() => loadCalendar({ PUZZLE_ROLLOVER: value }), /PUZZLE_ROLLOVER/, value);
+    }
+});
+
+test('puzzle numbers and addDays count whole UTC days', () => {
+    const calendar = loadCalendar({ ARCHIVE_START: undefined });
+    assert.equal(calendar.FIRST_PUZZLE, '2026-01-01');
+    assert.equal(calendar.puzzleNumber('2026-01-01'), 1);
+    assert.equal(calendar.puzzleNumber('2026-03-01'), 60);
+    assert.equal(calendar.puzzleNumber('2025-12-31'), null);
+    assert.equal(calendar.addDays('2026-02-28', 1), '2026-03-01');
+    assert.equal(calendar.addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(calendar.describeToday(at('2026-01-10T08:00:00Z')).number, 10);
+});
+
+test('checkPuzzleDate refuses invalid, future and pre-archive dates', () => {
+    const calendar = loadCalendar({ ARCHIVE_START: '2026-02-01', PUZZLE_ROLLOVER: undefined });
+    const now = at('2026-03-04T23:59:59Z');
+    const reason = (date, when = now) => {
+        const refused = calendar.checkPuzzleDate(date, when);
+        return refused && `${refused.status} ${refused.reason}`;
+    };
+    assert.equal(reason('2026-03-04'), null);
+    assert.equal(reason('2026-02-01'), null);
+    assert.equal(reason('2026-03-05'), '404 future');
+    assert.equal(reason('2026-03-05', at('2026-03-05T00:00:00Z')), null);
+    assert.equal(reason('2026-01-31'), '404 archive');
+    assert.equal(reason('2026-02-30'), '400 invalid');
+    assert.equal(reason('2026-13-45'), '400 invalid');
+    assert.equal(reason(undefined), '400 invalid');
+
+    assert.throws(() => loadCalendar({ ARCHIVE_START: '2026-02-30' }), /ARCHIVE_START/);
+});
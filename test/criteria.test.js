@@ -0,0 +1,134 @@
+/**
+ * MTGDoku — Criteria language tests (js/criteria.js).
+ *
+ * Checks how codes parse, how they match single- and multi-face cards (in the
+ * db.getCard() shape) and which pairs mayOverlap rules out.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const criteria = require('../js/criteria');
+
+const term = (field, cmp, value) => ({ op: 'term', field, cmp, value });
+
+const bolt = {
+    name: 'Lightning Bolt', type: 'Instant', cmc: 1, colors: ['R'], colorIdentity: ['R'],
+    oracleText: 'Lightning Bolt deals 3 damage to any target.', faces: []
+};
+const fireIce = {
+    name: 'Fire // Ice', type: 'Instant // Instant', cmc: 4, colors: ['R', 'U'], colorIdentity: ['R', 'U'],
+    faces: [
+        { name: 'Fire', type: 'Instant', oracleText: 'Fire deals 2 damage divided as you choose among one or two targets.' },
+        { name: 'Ice', type: 'Instant', oracleText: 'Tap target permanent.\nDraw a card.' }
+    ]
+};
+const delver = {
+    name: 'Delver of Secrets // Insectile Aberration', type: 'Creature — Human Wizard // Creature — Human Insect',
+    cmc: 1, colors: ['U'], colorIdentity: ['U'],
+    faces: [
+        { name: 'Delver of Secrets', type: 'Creature — Human Wizard', power: '1', toughness: '1', oracleText: 'At the beginning of your upkeep, look at the top card of your library.' },
+        { name: 'Insectile Aberration', type: 'Creature — Human Insect', power: '3', toughness: '2', oracleText: 'Flying' }
+    ]
+};
+const bonecrusher = {
+    name: 'Bonecrusher Giant // Stomp', type: 'Creature — Giant // Instant — Adventure',
+    cmc: 3, colors: ['R'], colorIdentity: ['R'],
+    faces: [
+        { name: 'Bonecrusher Giant', type: 'Creature — Giant', power: '4', toughness: '3', oracleText: 'Whenever Bonecrusher Giant becomes the target of a spell, Bonecrusher Giant deals 2 damage to that spell\'s controller.' },
+        { name: 'Stomp', type: 'Instant — Adventure', oracleText: 'Damage can\'t be prevented this turn. Stomp deals 2 damage to any target.' }
+    ]
+};
+
+test('parse binds and tighter than or, and - to one term', () => {
+    assert.deepEqual(criteria.parse('t:elf or t:goblin c:r'), {
+        op: 'or',
+        args: [term('type', ':', 'elf'), { op: 'and', args: [term('type', ':', 'goblin'), term('color', '>=', ['R'])] }]
+    });
+    assert.deepEqual(criteria.parse('(t:elf or t:goblin) -c:r'), {
+        op: 'and',
+        args: [
+            { op: 'or', args: [term('type', ':', 'elf'), term('type', ':', 'goblin')] },
+            { op: 'not', arg: term('color', '>=', ['R']) }
+        ]
+    });
+    assert.deepEqual(criteria.parse('not t:land'), criteria.parse('-t:land'));
+});
+
+test('parse reads quoted values, != and number comparisons', () => {
+    assert.deepEqual(criteria.parse('o:"draw a card"'), term('oracle', ':', 'draw a card'));
+    assert.deepEqual(criteria.parse('t:"Legendary Creature"'), term('type', ':', 'legendary creature'));
+    assert.deepEqual(criteria.parse('t!=land'), { op: 'not', arg: term('type', ':', 'land') });
+    assert.deepEqual(criteria.parse('pow!=3'), term('power', '!=', 3));
+    assert.deepEqual(criteria.parse('mv<=2'), term('mv', '<=', 2));
+});
+
+test('parse rejects unclosed quotes, unknown fields and prototype names', () => {
+    assert.throws(() => criteria.parse('o:"draw a card'), /Unclosed quote/);
+    assert.throws(() => criteria.parse('t:elf ('), Error);
+    assert.throws(() => criteria.parse('foo:bar'), /Unknown field/);
+    assert.throws(() => criteria.parse('f:constructor'), /Unknown format/);
+    assert.throws(() => criteria.parse('c:toString'), /Unknown colors/);
+    assert.throws(() => criteria.parse('r:__proto__'), /Unknown rarity/);
+    assert.throws(() => criteria.parse('mv:two'), /needs a number/);
+    assert.throws(() => criteria.parse('  '), /Empty/);
+    assert.equal(criteria.isValid('hasOwnProperty:x'), false);
+    assert.equal(criteria.isValid('t:creature pow>=4'), true);
+});
+
+test('matches single-face cards', () => {
+    assert.equal(criteria.matches('t:instant c:r mv=1', bolt), true);
+    assert.equal(criteria.matches('t:instant -c:r', bolt), false);
+    assert.equal(criteria.matches('o:"3 damage"', bolt), true);
+    assert.equal(criteria.matches('pow>=0', bolt), false);
+});
+
+test('matches a multi-face card when the whole card or one face meets the code', () => {
+    // Split card: whole-card colors and mana value, each half's rules text
+    assert.equal(criteria.matches('c:r c:u mv=4', fireIce), true);
+    assert.equal(criteria.matches('o:"draw a card"', fireIce), true);
+    assert.equal(criteria.matches('o:"draw a card" o:divided', fireIce), false);
+
+    // Transform card: each face's power and toughness
+    assert.equal(criteria.matches('pow=1', delver), true);
+    assert.equal(criteria.matches('pow=3 tou=2', delver), true);
+    assert.equal(criteria.matches('pow=3 tou=1', delver), false);
+
+    // Adventure card: the creature face has power, the instant face doesn't
+    assert.equal(criteria.matches('t:creature pow>=4', bonecrusher), true);
+    assert.equal(criteria.matches('t:instant', bonecrusher), true);
+    assert.equal(criteria.matches('o:stomp pow>=4', bonecrusher), false);
+});
+
+test('negations on multi-face cards hold for every face', () => {
+    assert.equal(criteria.matches('-t:creature', bonecrusher), false);
+    assert.equal(criteria.matches('t!=instant', bonecrusher), false);
+    assert.equal(criteria.matches('-o:flying', delver), false);
+    assert.equal(criteria.matches('-t:creature', fireIce), true);
+});
+
+test('mayOverlap rules out disjoint whole-card ranges, colors and legalities', () => {
+    assert.equal(criteria.mayOverlap('mv=3', 'mv=4'), false);
+    assert.equal(criteria.mayOverlap('mv<=2', 'mv>=3'), false);
+    assert.equal(criteria.mayOverlap('year<2000', 'year>=2000'), false);
+    assert.equal(criteria.mayOverlap('c:c', 'c:w'), false);
+    assert.equal(criteria.mayOverlap('c=r', 'c:m'), false);
+    assert.equal(criteria.mayOverlap('id<=rw', 'c:g'), false);
+    assert.equal(criteria.mayOverlap('f:modern', 'banned:modern'), false);
+
+    assert.equal(criteria.mayOverlap('mv<=3', 'mv>=3'), true);
+    assert.equal(criteria.mayOverlap('c:r', 'c:u'), true);
+    assert.equal(criteria.mayOverlap('t:elf', 'mv=2'), true);
+});
+
+test('mayOverlap never rules out pairs a multi-face card can meet face by face', () => {
+    // Adventures are instants and creatures; split cards can be instant // sorcery
+    assert.equal(criteria.mayOverlap('t:instant', 't:creature'), true);
+    assert.equal(criteria.mayOverlap('t:instant', 't:sorcery'), true);
+    assert.equal(criteria.mayOverlap('t:instant', 'pow>=4'), true);
+    assert.equal(criteria.mayOverlap('t:sorcery', 'tou<=2'), true);
+    // Transform cards have a power per face
+    assert.equal(criteria.mayOverlap('pow=1', 'pow=3'), true);
+    assert.equal(criteria.mayOverlap('tou<=1', 'tou>=4'), true);
+});
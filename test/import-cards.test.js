@@ -0,0 +1,110 @@
+/**
+ * MTGDoku — Card import tests.
+ *
+ * Imports test/fixtures/scryfall-cards.json (a few Scryfall "Default Cards"
+ * objects: four printings of one card, one of them a reversible card with no
+ * release date, a transform card, a split card and a token) into a temporary database with import-cards.js, then checks what
+ * db.getCard() builds from the card tables.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures', 'scryfall-cards.json');
+
+const BOLT_ORACLE_ID = '6fa1fa10-176f-5966-a04a-f1dd823d5775';
+const BOLT_M10_ID = '70ff90b9-f309-5d27-a4d9-30a75b3dcf7c';
+const BOLT_REVERSIBLE_ID = '4f1c2a7e-9b3d-5e6f-8a1b-2c3d4e5f6a7b';
+const DELVER_ORACLE_ID = '3493b3a5-da9d-53f0-8ef9-c02f03b1ef41';
+const FIRE_ICE_ID = '88ab2742-3d7a-5fba-84bc-68d6bfe3b5a8';
+const TOKEN_ID = 'b0a98ea0-bd08-5167-96c1-242711d407b6';
+
+let tmpDir;
+let db;
+let importOutput;
+
+/** Runs import-cards.js on the fixture and returns what it printed. */
+function importFixture() {
+    return execFileSync(process.execPath, [path.join(ROOT, 'import-cards.js'), FIXTURE], { env: process.env, encoding: 'utf8' });
+}
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mtgdoku-test-'));
+    process.env.MTGDOKU_DB = path.join(tmpDir, 'test.db');
+    importOutput = importFixture();
+    db = require('../db');
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('imports every game card and skips tokens', () => {
+    assert.equal(db.countCards(), 3);
+    assert.equal(db.getCard(TOKEN_ID), null);
+});
+
+test('getCard by printing id returns that printing plus every set it appeared in', () => {
+    const card = db.getCard(BOLT_M10_ID);
+    assert.equal(card.name, 'Lightning Bolt');
+    assert.equal(card.oracleId, BOLT_ORACLE_ID);
+    assert.equal(card.set, 'm10');
+    assert.equal(card.firstReleasedAt, '1993-08-05');
+    assert.deepEqual(card.sets, ['lea', 'm10', '2x2', 'sld']);
+    assert.deepEqual(card.rarities, ['common', 'uncommon', 'rare']);
+    assert.deepEqual(card.colors, ['R']);
+    assert.deepEqual(card.types, ['Instant']);
+    assert.deepEqual(card.faces, []);
+});
+
+test('getCard by oracle id finds the card and shows its first printing', () => {
+    const card = db.getCard(BOLT_ORACLE_ID);
+    assert.equal(card.name, 'Lightning Bolt');
+    assert.equal(card.set, 'lea');
+    assert.equal(db.getCard('00000000-0000-0000-0000-000000000000'), null);
+    assert.equal(db.getAllCards().find(c => c.oracleId === BOLT_ORACLE_ID).set, 'lea');
+});
+
+test('reversible cards import as their front face', () => {
+    const card = db.getCard(BOLT_REVERSIBLE_ID);
+    assert.equal(card.oracleId, BOLT_ORACLE_ID);
+    assert.equal(card.set, 'sld');
+    assert.equal(card.released_at, null);
+    assert.equal(card.images.length, 2);
+    assert.equal(db.getCard(BOLT_ORACLE_ID).type, 'Instant');
+});
+
+test('legalities keep each format status', () => {
+    const bolt = db.getCard(BOLT_ORACLE_ID);
+    assert.equal(bolt.legalities.modern, 'legal');
+    assert.equal(bolt.legalities.pauper, 'legal');
+    assert.equal(bolt.legalities.standard, 'not_legal');
+    assert.equal(db.getCard(FIRE_ICE_ID).legalities.pauper, 'not_legal');
+});
+
+test('multi-face cards keep their faces and take colors and types from them', () => {
+    const delver = db.getCard(DELVER_ORACLE_ID);
+    assert.deepEqual(delver.faces.map(f => f.name), ['Delver of Secrets', 'Insectile Aberration']);
+    assert.equal(delver.faces[1].power, '3');
+    assert.deepEqual(delver.colors, ['U']);
+    assert.deepEqual(delver.subtypes, ['Human', 'Insect', 'Wizard']);
+
+    const fireIce = db.getCard(FIRE_ICE_ID);
+    assert.deepEqual(fireIce.faces.map(f => f.manaCost), ['{1}{R}', '{1}{U}']);
+    assert.deepEqual(fireIce.colors, ['R', 'U']);
+    assert.equal(fireIce.cmc, 4);
+});
+
+test('re-importing the same file keeps the card data version', () => {
+    const version = output => /Card data version: (\w+)/.exec(output)[1];
+    assert.match(version(importOutput), /^[0-9a-f]{12}$/);
+    assert.equal(version(importFixture()), version(importOutput));
+    assert.equal(db.countCards(), 3);
+});
@@ -0,0 +1,76 @@
+/**
+ * MTGDoku — Rule set tests (js/rules.js).
+ *
+ * Checks when rules.evaluate() calls a game won, lost or still going under
+ * each rule set, on a 3 × 3 board.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../js/rules');
+
+/** Nine cells, all unsolved with no guesses, with `changes` (index → cell) applied. */
+function board(changes = {}) {
+    return Array.from({ length: 9 }, (_, i) => changes[i] || { guesses: 0, solved: false });
+}
+
+const solved = { guesses: 1, solved: true };
+const outOfGuesses = { guesses: rules.GUESSES_PER_CELL, solved: false };
+
+test('get falls back to classic for unknown or inherited ids', () => {
+    assert.equal(rules.get('survival').id, 'survival');
+    assert.equal(rules.get('nope').id, rules.DEFAULT_RULES);
+    assert.equal(rules.get('constructor').id, rules.DEFAULT_RULES);
+    assert.equal(rules.isRuleSet('toString'), false);
+});
+
+test('every rule set wins once every cell is solved', () => {
+    const cells = board(Object.fromEntries([...Array(9).keys()].map(i => [i, solved])));
+    for (const id of Object.keys(rules.RULE_SETS)) {
+        const { finished, won } = rules.evaluate(rules.get(id), cells);
+        assert.deepEqual({ finished, won }, { finished: true, won: true }, id);
+    }
+});
+
+test('classic and unique end the game when one cell runs out', () => {
+    for (const id of ['classic', 'unique']) {
+        const result = rules.evaluate(rules.get(id), board({ 0: solved, 4: outOfGuesses }));
+        assert.equal(result.finished, true, id);
+        assert.equal(result.won, false, id);
+        assert.equal(result.failed[4], true, id);
+        assert.equal(result.guessesLeft, null, id);
+    }
+    const going = rules.evaluate(rules.get('classic'), board({ 4: { guesses: rules.GUESSES_PER_CELL - 1, solved: false } }));
+    assert.equal(going.finished, false);
+});
+
+test('survival skips a cell that runs out and ends when every cell is done', () => {
+    const survival = rules.get('survival');
+    const going = rules.evaluate(survival, board({ 0: outOfGuesses }));
+    assert.equal(going.finished, false);
+    assert.equal(going.failed[0], true);
+
+    const done = board(Object.fromEntries([...Array(9).keys()].map(i => [i, i === 0 ? outOfGuesses : solved])));
+    const result = rules.evaluate(survival, done);
+    assert.equal(result.finished, true);
+    assert.equal(result.won, false);
+});
+
+test('shared pool counts guesses across the board, not per cell', () => {
+    const pool = rules.get('pool');
+    assert.equal(rules.guessPool(pool, 9), 9 + rules.POOL_SPARE_GUESSES);
+    assert.equal(rules.guessPool(rules.get('classic'), 9), null);
+
+    // Ten guesses on one cell is fine while the pool lasts; no cell ever fails on its own.
+    const going = rules.evaluate(pool, board({ 0: { guesses: 10, solved: false } }));
+    assert.equal(going.finished, false);
+    assert.equal(going.guessesLeft, 2);
+    assert.equal(going.failed.some(Boolean), false);
+
+    const empty = rules.evaluate(pool, board({ 0: { guesses: 11, solved: true }, 1: { guesses: 1, solved: false } }));
+    assert.equal(empty.guessesLeft, 0);
+    assert.equal(empty.finished, true);
+    assert.equal(empty.won, false);
+});
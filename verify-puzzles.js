@@ -0,0 +1,64 @@
+/**
+ * MTGDoku — Checks stored puzzles against the seeded generator.
+ *
+ * Every generated puzzle can be rebuilt from its date (see puzzles.js), so this
+ * regenerates each stored puzzle made by the current GENERATOR_VERSION and
+ * reports any whose criteria or format differ. Run it with the same
+ * PUZZLE_SECRET, MIN_CELL_ANSWERS and card data as the server: a different
+ * card import can change which boards pass the answer-count checks.
+ * Puzzles written by hand (admin), by another generator version or from other
+ * card data (their recorded cardData isn't the imported one) are skipped.
+ *
+ * Usage: npm run verify-puzzles
+ * Exits with status 1 if any puzzle differs.
+ */
+
+const db = require('./db');
+const puzzles = require('./puzzles');
+
+/** "name [code]" for each criterion, so boards compare on both. */
+function boardKey(board) {
+    const axis = list => list.map(c => `${c.name} [${c.code}]`).join(' | ');
+    return `${axis(board.rowCriteria)} / ${axis(board.colCriteria)} / ${board.format || 'any card'}`;
+}
+
+function main() {
+    let matched = 0;
+    let skipped = 0;
+    let otherCards = 0;
+    const differing = [];
+    const cardData = puzzles.cardDataVersion();
+
+    for (const date of db.getPuzzleDates()) {
+        const stored = db.getPuzzle(date);
+        if (stored.generatorVersion !== puzzles.GENERATOR_VERSION) {
+            skipped++;
+            continue;
+        }
+        // Puzzles from before card data was recorded are still compared.
+        if (stored.cardData && stored.cardData !== cardData) {
+            otherCards++;
+            continue;
+        }
+        const rebuilt = puzzles.generatePuzzle(date);
+        if (boardKey(stored) === boardKey(rebuilt)) {
+            matched++;
+        } else {
+            differing.push({ date, stored: boardKey(stored), rebuilt: boardKey(rebuilt) });
+        }
+    }
+
+    for (const d of differing) {
+        console.log(`${d.date} differs\n  stored:  ${d.stored}\n  rebuilt: ${d.rebuilt}`);
+    }
+    console.log(`${matched} match, ${differing.length} differ, ${skipped} skipped (hand-made or generator other than v${puzzles.GENERATOR_VERSION}).`);
+    if (otherCards) console.log(`${otherCards} made from card data other than ${cardData || 'none'} (not checked).`);
+    if (differing.length) process.exit(1);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('Verify failed:', err.message);
+    process.exit(1);
+}